@@ -35,7 +35,8 @@ module.exports = function (grunt) {
                 configFile: "eslint.yaml"
             },
             "gruntfile": [ "Gruntfile.js" ],
-            "graphql-io-client": [ "src/**/*.js" ]
+            "graphql-io-client": [ "src/**/*.js" ],
+            "graphql-io-client-codegen": [ "bin/**/*.js" ]
         },
         tslint: {
             "graphql-io-client": {
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/*
+**  GraphQL-IO -- GraphQL Network Communication Framework
+**  Copyright (c) 2016-2019 Dr. Ralf S. Engelschall <rse@engelschall.com>
+**
+**  Permission is hereby granted, free of charge, to any person obtaining
+**  a copy of this software and associated documentation files (the
+**  "Software"), to deal in the Software without restriction, including
+**  without limitation the rights to use, copy, modify, merge, publish,
+**  distribute, sublicense, and/or sell copies of the Software, and to
+**  permit persons to whom the Software is furnished to do so, subject to
+**  the following conditions:
+**
+**  The above copyright notice and this permission notice shall be included
+**  in all copies or substantial portions of the Software.
+**
+**  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+**  EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+**  MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+**  IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+**  CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT,
+**  TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
+**  SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/*  external dependencies  */
+const fs                  = require("fs")
+const { Client, Codegen } = require("../lib/node/graphql-io-node.js")
+
+/*  display usage information  */
+const usage = () => {
+    process.stderr.write(
+        "USAGE: graphql-io-client-codegen [-h] [-s <schema-file>] [-u <server-url>] [-g <graph-path>]\n" +
+        "       [-a <username>:<password>] [-o <output-file>] [-m <module-name>]\n" +
+        "       [-S <scalar>=<type> ...] [-t] <document-file> [...]\n"
+    )
+}
+
+/*  parse command-line arguments  */
+const parseArgs = (argv) => {
+    const args = {
+        schema:    null,
+        url:       null,
+        graph:     null,
+        auth:      null,
+        output:    null,
+        module:    null,
+        scalars:   {},
+        typenames: false,
+        documents: []
+    }
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i]
+        const value = () => {
+            if (i + 1 >= argv.length)
+                throw new Error(`missing value for option "${arg}"`)
+            return argv[++i]
+        }
+        if (arg === "-h" || arg === "--help")
+            return null
+        else if (arg === "-s" || arg === "--schema")
+            args.schema = value()
+        else if (arg === "-u" || arg === "--url")
+            args.url = value()
+        else if (arg === "-g" || arg === "--graph")
+            args.graph = value()
+        else if (arg === "-a" || arg === "--auth")
+            args.auth = value()
+        else if (arg === "-o" || arg === "--output")
+            args.output = value()
+        else if (arg === "-m" || arg === "--module")
+            args.module = value()
+        else if (arg === "-S" || arg === "--scalar") {
+            const m = value().match(/^([_A-Za-z][_0-9A-Za-z]*)=(.+)$/)
+            if (m === null)
+                throw new Error("invalid scalar mapping (expected \"<scalar>=<type>\")")
+            args.scalars[m[1]] = m[2]
+        }
+        else if (arg === "-t" || arg === "--typenames")
+            args.typenames = true
+        else if (arg.match(/^-/))
+            throw new Error(`invalid option "${arg}"`)
+        else
+            args.documents.push(arg)
+    }
+    if ((args.schema === null) === (args.url === null))
+        throw new Error("exactly one of the options \"-s\" and \"-u\" has to be given")
+    if (args.documents.length === 0)
+        throw new Error("at least one GraphQL document file has to be given")
+    return args
+}
+
+/*  determine the GraphQL schema (from file or by introspecting the server)  */
+const loadSchema = async (args) => {
+    if (args.schema !== null)
+        return fs.readFileSync(args.schema, "utf8")
+    const client = new Client(Object.assign({ url: args.url, mode: "http", notify: "none" },
+        args.graph !== null ? { path: { graph: args.graph } } : {}))
+    let failure = null
+    client.on("error", (err) => { failure = err })
+    await client.connect()
+    try {
+        if (args.auth !== null) {
+            const [ , username, password ] = args.auth.match(/^([^:]*):?(.*)$/)
+            client.at("login-credentials", () => ({ username, password }))
+            if (!(await client.login()))
+                throw new Error(failure !== null ? failure.message : "login failed")
+        }
+        return await client.introspect()
+    }
+    finally {
+        await client.disconnect()
+    }
+}
+
+/*  the main procedure  */
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2))
+    if (args === null) {
+        usage()
+        return
+    }
+    const schema = await loadSchema(args)
+    const codegen = new Codegen(Object.assign({ schema, scalars: args.scalars, typenames: args.typenames },
+        args.module !== null ? { module: args.module } : {}))
+    const document = args.documents.map((file) => fs.readFileSync(file, "utf8")).join("\n")
+    const { code } = codegen.generate(document)
+    if (args.output !== null)
+        fs.writeFileSync(args.output, code, "utf8")
+    else
+        process.stdout.write(code)
+}
+main().catch((err) => {
+    process.stderr.write(`graphql-io-client-codegen: ERROR: ${err.message || err}\n`)
+    process.exit(1)
+})
+
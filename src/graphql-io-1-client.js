@@ -23,136 +23,879 @@
 */
 
 /*  external dependencies  */
-import StdAPI             from "stdapi"
-import Axios              from "axios"
-import UUID               from "pure-uuid"
-import Ducky              from "ducky"
-import { ApolloClient }   from "apollo-client"
-import { ApolloClientWS } from "apollo-client-ws"
-import { ApolloLink }     from "apollo-link"
-import { HttpLink }       from "apollo-link-http"
-import { onError }        from "apollo-link-error"
-import { InMemoryCache }  from "apollo-cache-inmemory"
-import CrossFetch         from "cross-fetch"
-import { OSet }           from "oset"
-import Chunking           from "chunking"
+import StdAPI                     from "stdapi"
+import Axios                      from "axios"
+import UUID                       from "pure-uuid"
+import Ducky                      from "ducky"
+import clone                      from "clone"
+import gql                        from "graphql-tag"
+import { ApolloClient }           from "apollo-client"
+import { ApolloClientWS }         from "apollo-client-ws"
+import { ApolloLink, Observable } from "apollo-link"
+import { HttpLink }               from "apollo-link-http"
+import { onError }                from "apollo-link-error"
+import { InMemoryCache }          from "apollo-cache-inmemory"
+import CrossFetch                 from "cross-fetch"
+import { OSet }                   from "oset"
+import Chunking                   from "chunking"
+import { sha256 }                 from "js-sha256"
+import { print }                  from "graphql/language/printer"
+import { getIntrospectionQuery }  from "graphql/utilities/introspectionQuery"
+import { isSchema }               from "graphql/type/schema"
 
 /*  internal dependencies  */
-import Query              from "./graphql-io-2-query"
+import Query                      from "./graphql-io-2-query"
+import Notifier                   from "./graphql-io-4-notifier"
+import Outbox                     from "./graphql-io-5-outbox"
+import Batcher                    from "./graphql-io-6-batcher"
+import Blobs                      from "./graphql-io-9-blob"
+import Uploader                   from "./graphql-io-10-upload"
+import Middleware                 from "./graphql-io-11-middleware"
+import Mock                       from "./graphql-io-12-mock"
+import Local                      from "./graphql-io-13-local"
+import Metrics                    from "./graphql-io-14-metrics"
+import loadSchema                 from "./graphql-io-15-schema"
+import {
+    GraphQLIOError, NetworkError, AuthError, ValidationError,
+    TimeoutError, AbortError
+} from "./graphql-io-8-error"
+
+/*  determine whether we are running under a Browser environment
+    (where HTTP Cookies are sent automatically and cannot be set manually)  */
+const isBrowser = (typeof XMLHttpRequest !== "undefined")
 
 /*  the exported API class  */
 export default class Client extends StdAPI {
     constructor (options) {
         super(options, {
-            prefix:      [ "string", "GraphQL-IO-" ],
-            url:         [ "/^https?:\\/\\/.+?(?::\\d+)?$/", "http://127.0.0.1:8080" ],
+            prefix:         [ "string", "GraphQL-IO-" ],
+            url:            [ "/^https?:\\/\\/.+?(?::\\d+)?$/", "http://127.0.0.1:8080" ],
             path: {
                 login:   [ "/^\\/.+$/", "/api/auth/login" ],
                 session: [ "/^\\/.+$/", "/api/auth/session" ],
+                refresh: [ "/^(?:\\/.+)?$/", "" ],
                 logout:  [ "/^\\/.+$/", "/api/auth/logout" ],
                 graph:   [ "/^\\/.+$/", "/api/data/graph" ],
+                notify:  [ "/^\\/.+$/", "/api/data/notify" ],
                 blob:    [ "/^\\/.+$/", "/api/data/blob" ]
             },
-            mode:        [ "/^(?:http|websocket)$/", "websocket" ],
-            encoding:    [ "/^(?:cbor|msgpack|json)$/", "json" ],
-            compress:    [ "boolean", false ],
-            typenames:   [ "boolean", false ],
-            throttle:    [ "number", 250 ],
-            debug:       [ "number", 0 ]
+            mode:           [ "/^(?:http|websocket|auto|mock|local)$/", "websocket" ],
+            mock:           [ "(object|null)", null ],
+            local: {
+                schema:    [ "(object|null)", null ],
+                rootValue: [ "(object|null)", null ],
+                context:   [ "(object|function|null)", null ],
+                notify:    [ "(boolean|function)", true ]
+            },
+            notify:         [ "/^(?:poll|sse|none)$/", "poll" ],
+            notifyDelay:    [ "number", 2 * 1000 ],
+            fallbackDrops:  [ "number", 3 ],
+            fallbackWindow: [ "number", 60 * 1000 ],
+            upgradeDelay:   [ "number", 30 * 1000 ],
+            keepalive:      [ "number", 0 ],
+            heartbeat:      [ "number", 0 ],
+            auth:           [ "/^(?:cookie|bearer|apikey|none)$/", "cookie" ],
+            apiKey:         [ "string", "" ],
+            apiKeyHeader:   [ "string", "X-API-Key" ],
+            renewAttempts:  [ "number", 3 ],
+            renewDelay:     [ "number", 1000 ],
+            retry: {
+                attempts:  [ "number", 0 ],
+                delay:     [ "number", 500 ],
+                delayMax:  [ "number", 30 * 1000 ],
+                jitter:    [ "number", 0.5 ],
+                mutations: [ "boolean", false ],
+                when:      [ "(function|null)", null ]
+            },
+            persisted:      [ "boolean", false ],
+            manifest:       [ "(object|string|null)", null ],
+            batch:          [ "number", 0 ],
+            batchMax:       [ "number", 10 ],
+            schema:         [ "(string|object|boolean|null)", null ],
+            offline:        [ "boolean", false ],
+            storage:        [ "(object|null)", null ],
+            encoding:       [ "/^(?:cbor|msgpack|json)$/", "json" ],
+            compress:       [ "boolean", false ],
+            typenames:      [ "boolean", false ],
+            throttle:       [ "number", 250 ],
+            endpoints:      [ "object", {} ],
+            metrics:        [ "(boolean|object)", false ],
+            tracing:        [ "boolean", false ],
+            debug:          [ "number", 0 ]
         })
 
         /*  initialize internal state  */
+        this._.name             = "default"
+        this._.parent           = null
+        this._.endpoints        = {}
         this._.nsUUID           = new UUID(5, "ns:URL", "http://graphql-io.com/ns/")
         this._.loginUsername    = ""
         this._.loginPassword    = ""
         this._.graphqlClient    = null
+        this._.graphqlLinkRoute = null
+        this._.graphqlLinkChain = null
+        this._.graphqlLinkAbort = null
         this._.graphqlLinkErr   = null
+        this._.graphqlLinkRetry = null
+        this._.graphqlLinkAuth  = null
+        this._.graphqlLinkMW    = null
+        this._.graphqlLinkPQ    = null
+        this._.graphqlLinkState = null
+        this._.graphqlLinkBatch = null
+        this._.graphqlLinkFiles = null
         this._.graphqlLinkNet   = null
+        this._.graphqlLinkWS    = null
+        this._.graphqlLinkHTTP  = null
         this._.graphqlCache     = null
+        this._.batcher          = null
+        this._.uploader         = null
+        this._.notifier         = null
+        this._.transport        = null
+        this._.wsOpen           = false
+        this._.wsExplicit       = false
+        this._.wsDrops          = []
+        this._.upgradeTimer     = null
+        this._.heartbeatTimer   = null
         this._.subscriptions    = {}
+        this._.groups           = {}
         this._.token            = null
         this._.peer             = null
+        this._.renewing         = null
+        this._.online           = true
+        this._.pqSupported      = true
+        this._.pqHashes         = new WeakMap()
+        this._.pqHashOnly       = new WeakSet()
+        this._.pqManifest       = null
+        this._.outbox           = null
+        this._.schema           = null
+        this._.schemaChecks     = new WeakMap()
+
+        /*  create HTTP client for all non-GraphQL requests
+            (which are authenticated the same way as the GraphQL requests)  */
+        this._.http = Axios.create()
+        this._.http.interceptors.request.use((config) => {
+            config.headers = Object.assign({}, config.headers, this._authHeaders())
+            return config
+        })
+
+        /*  create access to the BLOB service  */
+        this._.blobs = new Blobs(this)
+
+        /*  create the chain of application middlewares  */
+        this._.middleware = new Middleware(this)
+
+        /*  create the recorder of metrics and tracing spans  */
+        this._.metrics = new Metrics(this)
+
+        /*  in mock mode, create the local transport and test harness
+            (which also answers all non-GraphQL HTTP requests)  */
+        this._.mock = null
+        if (this.$.mode === "mock") {
+            this._.mock = new Mock(this)
+            this._.http.defaults.adapter = (config) => this._.mock.__adapter(config)
+        }
+
+        /*  in local mode, create the in-process server
+            (which keeps its subscriptions across reconnects like a real server)  */
+        this._.local = null
+        if (this.$.mode === "local") {
+            this._.local = new Local(this, {
+                source:    this.$.local.schema,
+                rootValue: this.$.local.rootValue,
+                context:   this.$.local.context,
+                notify:    this.$.local.notify
+            })
+        }
+
+        /*  create the secondary endpoints
+            (as clients with their own transport, authentication and subscriptions,
+            which inherit all options not overridden and share the cache, the event
+            stream, the hooks and the middlewares of this primary endpoint)  */
+        Object.keys(this.$.endpoints).forEach((name) => {
+            if (name === "default")
+                throw new Error("endpoint name \"default\" is reserved for the primary endpoint")
+            const opts = Object.assign({}, options, this.$.endpoints[name], { endpoints: {} })
+            let operations = null
+            if (opts.operations !== undefined) {
+                operations = opts.operations instanceof RegExp ? opts.operations : new RegExp(opts.operations)
+                delete opts.operations
+            }
+            const client = new Client(opts)
+            client._.name       = name
+            client._.parent     = this
+            client._.middleware = this._.middleware
+            this._.endpoints[name] = { client, operations }
+        })
+    }
+
+    /*  send events of secondary endpoints both on their own and via the primary endpoint  */
+    emit (name, ...args) {
+        const result = super.emit(name, ...args)
+        if (this._.parent)
+            return this._.parent.emit(name, ...args)
+        return result
+    }
+
+    /*  raise hooks of secondary endpoints via the primary endpoint  */
+    hook (name, preproc, ...args) {
+        if (this._.parent)
+            return this._.parent.hook(name, preproc, ...args)
+        return super.hook(name, preproc, ...args)
+    }
+
+    /*  prefix debug messages of secondary endpoints with their name  */
+    debug (level, msg) {
+        if (this._.parent)
+            msg = `[${this._.name}]: ${msg}`
+        return super.debug(level, msg)
+    }
+
+    /*  determine an endpoint by name
+        (where "default" is the primary endpoint)  */
+    endpoint (name = "default") {
+        if (this._.parent !== null)
+            return this._.parent.endpoint(name)
+        if (name === "default")
+            return this
+        if (this._.endpoints[name] === undefined)
+            throw new Error(`unknown endpoint "${name}"`)
+        return this._.endpoints[name].client
+    }
+
+    /*  INTERNAL: determine the endpoint of a GraphQL operation
+        (either explicitly by name or by matching its operation name against the
+        rules of the secondary endpoints, falling back to the primary endpoint)  */
+    _route (query, name = null) {
+        if (name !== null)
+            return this.endpoint(name)
+        const names = Object.keys(this._.endpoints)
+        if (names.length === 0)
+            return this
+
+        /*  determine the operation name from the parsed query
+            (which might also be given without a leading operation keyword)  */
+        const parse = (query) => {
+            try {
+                return gql`${query}`
+            }
+            catch (ex) {
+                return null
+            }
+        }
+        const document = parse(query) || parse(`query ${query}`)
+        if (document === null)
+            return this
+        const definition = document.definitions.find((def) => def.kind === "OperationDefinition")
+        if (definition === undefined || !definition.name)
+            return this
+        for (let i = 0; i < names.length; i++) {
+            const endpoint = this._.endpoints[names[i]]
+            if (endpoint.operations !== null && endpoint.operations.test(definition.name.value))
+                return endpoint.client
+        }
+        return this
     }
 
-    /*  INTERNAL: raise a fatal error  */
+    /*  INTERNAL: raise a fatal error
+        (always as a structured GraphQL-IO error)  */
     error (err) {
+        err = GraphQLIOError.from(err)
         this.debug(1, `ERROR: ${err}`)
         this.emit("error", err)
         return this
     }
 
+    /*  INTERNAL: determine the authentication headers for a request  */
+    _authHeaders () {
+        const headers = {}
+        if (this.$.auth === "cookie") {
+            /*  send authentication cookie and peer id
+                (Notice: necessary under Node environment only, but for Browser
+                environments this is not necessary, as Cookie is sent automatically)  */
+            if (!isBrowser && this._.token !== null && this._.peer !== null)
+                headers.Cookie =
+                    `${this.$.prefix}Token=${this._.token}; ` +
+                    `${this.$.prefix}Peer=${this._.peer}`
+        }
+        else if (this.$.auth === "bearer") {
+            /*  send authentication token  */
+            if (this._.token !== null)
+                headers.Authorization = `Bearer ${this._.token}`
+        }
+        else if (this.$.auth === "apikey") {
+            /*  send static API key  */
+            if (this.$.apiKey !== "")
+                headers[this.$.apiKeyHeader] = this.$.apiKey
+        }
+
+        /*  allow application to provide custom authentication headers  */
+        return this.hook("auth-headers", "pass", headers, this.$.auth)
+    }
+
+    /*  INTERNAL: determine the retry policy of an operation
+        (the client-level policy, optionally overridden per operation)  */
+    _retryPolicy (override = null) {
+        if (override === false)
+            return null
+        const policy = Object.assign({}, this.$.retry, typeof override === "object" ? override : {})
+        return policy.attempts > 0 ? policy : null
+    }
+
+    /*  INTERNAL: determine whether a failed attempt should be retried
+        (by default only connection failures, server errors and rate limits,
+        but neither client errors nor local validation, timeout and abort errors)  */
+    _retryable (err, policy, attempt) {
+        if (attempt > policy.attempts || Axios.isCancel(err))
+            return false
+        if (policy.when !== null)
+            return !!policy.when(err, attempt)
+        if (err instanceof GraphQLIOError && !(err instanceof NetworkError))
+            return false
+        let status = null
+        if (typeof err === "object" && err !== null) {
+            if (typeof err.statusCode === "number")
+                status = err.statusCode
+            else if (typeof err.status === "number")
+                status = err.status
+            else if (typeof err.response === "object" && err.response !== null)
+                status = err.response.status
+        }
+        return (typeof status !== "number" || status >= 500 || status === 429)
+    }
+
+    /*  INTERNAL: determine the delay before a retry attempt
+        (exponential backoff, capped and randomized by a jitter fraction)  */
+    _retryDelay (policy, attempt) {
+        const delay = Math.min(policy.delay * Math.pow(2, attempt - 1), policy.delayMax)
+        const jitter = Math.min(Math.max(policy.jitter, 0), 1)
+        return Math.round(delay * (1 - jitter * Math.random()))
+    }
+
+    /*  INTERNAL: perform a non-GraphQL request under the retry policy  */
+    _retry (name, request, override = null) {
+        const policy = this._retryPolicy(override)
+        const attempt = (n) => {
+            return request().catch((err) => {
+                if (policy === null || !this._retryable(err, policy, n))
+                    throw err
+                const delay = this._retryDelay(policy, n)
+                this.debug(2, `${name} failed: retrying in ${delay}ms (retry ${n}/${policy.attempts}): ${err}`)
+                return new Promise((resolve) => {
+                    setTimeout(() => resolve(attempt(n + 1)), delay)
+                })
+            })
+        }
+        return attempt(1)
+    }
+
+    /*  add a middleware for GraphQL operations and non-GraphQL HTTP requests  */
+    use (middleware) {
+        this._.middleware.use(middleware)
+        return this
+    }
+
+    /*  remove a previously added middleware  */
+    unuse (middleware) {
+        this._.middleware.unuse(middleware)
+        return this
+    }
+
+    /*  INTERNAL: perform a non-GraphQL HTTP request under the middlewares  */
+    _http (name, config) {
+        return this._.middleware.http(name, config, (config) => this._.http.request(config), this._.name)
+    }
+
     /*  connect to the backend endpoints  */
     async connect () {
         this.debug(2, "connect to backend")
 
-        /*  create networking Apollo Link instance  */
-        if (this.$.mode === "http") {
+        /*  sanity check communication mode  */
+        if (!this.$.mode.match(/^(?:http|websocket|auto|mock|local)$/))
+            throw new Error("invalid communication mode")
+        if (this.$.mode === "local" && !isSchema(this.$.local.schema))
+            throw new Error("communication mode \"local\" requires a GraphQLSchema in option \"local.schema\"")
+
+        /*  create HTTP-based networking Apollo Link instance  */
+        if (this.$.mode === "http" || this.$.mode === "auto") {
             /*  create HTTP-based interface (not recommended)  */
             this.debug(3, "create HTTP-based network interface")
-            this._.graphqlLinkNet = new HttpLink({
-                uri: `${this.$.url}${this.$.path.graph}`,
-                opts: {
-                    credentials: "same-origin",
-                    fetch:       CrossFetch
+            this._.graphqlLinkHTTP = new HttpLink({
+                uri:         `${this.$.url}${this.$.path.graph}`,
+                credentials: "same-origin",
+                fetch:       (uri, options) => {
+                    options = Object.assign({}, options, {
+                        headers: Object.assign({}, options.headers, this._authHeaders())
+                    })
+                    return CrossFetch(uri, options)
                 }
             })
         }
-        else if (this.$.mode === "websocket") {
+
+        /*  create WebSocket-based networking Apollo Link instance  */
+        if (this.$.mode === "websocket" || this.$.mode === "auto") {
             /*  create WebSocket-based interface (recommended)  */
             this.debug(3, "create WebSocket-based network interface")
-            this._.graphqlLinkNet = new ApolloClientWS({
+            this._.graphqlLinkWS = new ApolloClientWS({
                 uri: `${this.$.url.replace(/^http(s?):/, "ws$1:")}${this.$.path.graph}`,
-                opts: {
-                    keepalive: 0,
+                opts: Object.assign({
+                    keepalive: this.$.keepalive,
                     debug:     this.$.debug,
                     encoding:  this.$.encoding,
                     compress:  this.$.compress
-                }
+                }, this.$.mode === "auto" ? {
+                    /*  in automatic mode we fall back to HTTP instead of
+                        endlessly retrying to establish the WebSocket connection  */
+                    reconnectattempts: 0
+                } : {})
             })
 
             /*  pass-through Apollo-Client-WS debug messages  */
-            this._.graphqlLinkNet.on("debug", ({ date, level, msg, log }) => {
+            this._.graphqlLinkWS.on("debug", ({ date, level, msg, log }) => {
                 this.debug(2 + level, `[apollo-client-ws]: ${msg}`)
             })
 
             /*  detect and pass-through some events  */
-            this._.graphqlLinkNet.on("connect",    () => { this.emit("connect") })
-            this._.graphqlLinkNet.on("disconnect", () => { this.emit("disconnect") })
-            this._.graphqlLinkNet.on("open",       () => { this.emit("open") })
-            this._.graphqlLinkNet.on("close",      () => { this.emit("close") })
+            this._.graphqlLinkWS.on("connect",    () => { this.emit("connect") })
+            this._.graphqlLinkWS.on("disconnect", () => { this.emit("disconnect") })
+            this._.graphqlLinkWS.on("open",       () => { this.emit("open") })
+            this._.graphqlLinkWS.on("close",      () => { this.emit("close") })
 
-            /*  hook into WebSocket creation to send authentication cookie and peer id
-                (Notice: called under Node environment only, but for Browser
-                environments this is not necessary, as Cookie is sent automatically)  */
-            this._.graphqlLinkNet.at("connect:options", (options) => {
-                if (this._.token !== null && this._.peer !== null) {
-                    if (!options.headers)
-                        options.headers = {}
-                    options.headers.Cookie =
-                        `${this.$.prefix}Token=${this._.token}; ` +
-                        `${this.$.prefix}Peer=${this._.peer}`
-                }
+            /*  track explicit disconnects (including the auto-disconnects after
+                the keepalive period) to distinguish them from connection drops  */
+            this._.graphqlLinkWS.on("connect", () => {
+                this._.wsOpen     = false
+                this._.wsExplicit = false
+            })
+            this._.graphqlLinkWS.on("disconnect", () => {
+                this._.wsExplicit = true
+            })
+
+            /*  optionally send periodic heartbeats over established connections
+                to detect (and recover from) silently dropped connections  */
+            if (this.$.heartbeat > 0) {
+                this._.graphqlLinkWS.on("open",  () => { this._heartbeat(true) })
+                this._.graphqlLinkWS.on("close", () => { this._heartbeat(false) })
+            }
+
+            /*  hook into WebSocket creation to send authentication headers
+                (Notice: called under Node environment only, as for Browser
+                environments headers cannot be set and only the Cookie is sent automatically)  */
+            this._.graphqlLinkWS.at("connect:options", (options) => {
+                options.headers = Object.assign({}, options.headers, this._authHeaders())
                 return options
             })
+
+            /*  hook into request sending to omit the query text for persisted queries  */
+            this._.graphqlLinkWS.at("query:request", (request) => {
+                if (   typeof request.extensions === "object"
+                    && this._.pqHashOnly.has(request.extensions.persistedQuery))
+                    delete request.query
+                return request
+            })
         }
-        else
-            throw new Error("invalid communication mode")
+
+        /*  determine the networking Apollo Link instance  */
+        if (this.$.mode === "http")
+            this._.graphqlLinkNet = this._.graphqlLinkHTTP
+        else if (this.$.mode === "websocket")
+            this._.graphqlLinkNet = this._.graphqlLinkWS
+        else if (this.$.mode === "mock")
+            this._.graphqlLinkNet = new ApolloLink((operation) => this._.mock.request(operation))
+        else if (this.$.mode === "local")
+            this._.graphqlLinkNet = new ApolloLink((operation) => this._.local.request(operation))
+        else {
+            /*  dispatch to the currently active transport  */
+            this._.graphqlLinkNet = new ApolloLink((operation) => {
+                if (this._.transport === "websocket")
+                    return this._.graphqlLinkWS.request(operation)
+                else
+                    return this._.graphqlLinkHTTP.request(operation)
+            })
+
+            /*  track the WebSocket connection for falling back to HTTP  */
+            this._.graphqlLinkWS.on("open", () => {
+                this._.wsOpen = true
+                this._switchTransport("websocket")
+            })
+            this._.graphqlLinkWS.on("close", () => {
+                const wasOpen = this._.wsOpen
+                this._.wsOpen = false
+                if (this._.wsExplicit || this._.transport !== "websocket")
+                    return
+                if (!wasOpen) {
+                    /*  connection (re-)establishment failed  */
+                    this.debug(2, "WebSocket connection failed: falling back to HTTP")
+                    this._switchTransport("http")
+                }
+                else {
+                    /*  established connection dropped  */
+                    const now = Date.now()
+                    this._.wsDrops = this._.wsDrops
+                        .filter((time) => time > now - this.$.fallbackWindow)
+                        .concat([ now ])
+                    if (this._.wsDrops.length >= this.$.fallbackDrops) {
+                        this.debug(2, `WebSocket connection dropped ${this._.wsDrops.length} times: ` +
+                            "falling back to HTTP")
+                        this._switchTransport("http")
+                    }
+                }
+            })
+        }
+
+        /*  determine whether a network error indicates an expired session  */
+        const unauthorized = (networkError) => (
+            typeof networkError === "object"
+            && networkError !== null
+            && (networkError.statusCode === 401 || networkError.status === 401)
+        )
+
+        /*  provide a deferred forwarding of an operation
+            (until a pending session renewal has finished, where for replays after a
+            session renewal an HTTP 401 response renews the session again, but only up
+            to a total number of renewals, as the error link does not handle the
+            errors of the operations it replays itself)  */
+        const deferred = (operation, forward, onFailure, renewals = null) => {
+            return new Observable((observer) => {
+                let sub = null
+                let cancelled = false
+                this._.renewing.then((renewed) => {
+                    if (cancelled)
+                        return
+                    if (!renewed)
+                        observer.error(onFailure)
+                    else if (renewals === null)
+                        sub = forward(operation).subscribe(observer)
+                    else {
+                        sub = forward(operation).subscribe({
+                            next: (result) => {
+                                observer.next(result)
+                            },
+                            error: (err) => {
+                                if (!unauthorized(err))
+                                    observer.error(err)
+                                else if (renewals >= this.$.renewAttempts) {
+                                    const error = NetworkError.from(err, operationOf(operation))
+                                    error.message += ` (giving up after ${renewals} session renewals)`
+                                    this.error(error)
+                                    observer.error(err)
+                                }
+                                else {
+                                    this._renew()
+                                    sub = deferred(operation, forward, err, renewals + 1).subscribe(observer)
+                                }
+                            },
+                            complete: () => {
+                                observer.complete()
+                            }
+                        })
+                    }
+                })
+                return () => {
+                    cancelled = true
+                    if (sub !== null)
+                        sub.unsubscribe()
+                }
+            })
+        }
+
+        /*  determine the originating GraphQL operation of an Apollo Link operation (for errors)  */
+        const operationOf = (operation) => {
+            const definition = operation.query.definitions.find((def) => def.kind === "OperationDefinition")
+            return {
+                type:      definition ? definition.operation : "query",
+                query:     print(operation.query),
+                variables: operation.variables
+            }
+        }
+
+        /*  create cancellation Apollo Link instance
+            (aborts an operation on timeout or through its AbortSignal by
+            unsubscribing from the underlying request, which also aborts HTTP requests)  */
+        this._.graphqlLinkAbort = new ApolloLink((operation, forward) => {
+            const { timeout = 0, signal = null } = operation.getContext().cancel || {}
+            if (timeout <= 0 && signal === null)
+                return forward(operation)
+            return new Observable((observer) => {
+                let sub   = null
+                let timer = null
+                let done  = false
+                const cleanup = () => {
+                    done = true
+                    if (timer !== null) {
+                        clearTimeout(timer)
+                        timer = null
+                    }
+                    if (signal !== null)
+                        signal.removeEventListener("abort", onAbort)
+                }
+                const fail = (err) => {
+                    if (done)
+                        return
+                    cleanup()
+                    if (sub !== null)
+                        sub.unsubscribe()
+                    this.debug(2, `GraphQL request cancelled: ${err.message}`)
+                    observer.error(err)
+                }
+                const onAbort = () => {
+                    fail(new AbortError("operation aborted", { operation: operationOf(operation) }))
+                }
+                if (signal !== null) {
+                    if (signal.aborted) {
+                        onAbort()
+                        return
+                    }
+                    signal.addEventListener("abort", onAbort)
+                }
+                if (timeout > 0) {
+                    timer = setTimeout(() => {
+                        fail(new TimeoutError(`operation timed out after ${timeout}ms`,
+                            { operation: operationOf(operation) }))
+                    }, timeout)
+                }
+                sub = forward(operation).subscribe({
+                    next: (result) => {
+                        if (!done)
+                            observer.next(result)
+                    },
+                    error: (err) => {
+                        if (done)
+                            return
+                        cleanup()
+                        observer.error(err)
+                    },
+                    complete: () => {
+                        if (done)
+                            return
+                        cleanup()
+                        observer.complete()
+                    }
+                })
+                return () => {
+                    cleanup()
+                    sub.unsubscribe()
+                }
+            })
+        })
 
         /*  create error handling Apollo Link instance  */
-        this._.graphqlLinkErr = onError((error) => {
-            if (   typeof error === "object"
-                && typeof error.networkError === "object"
-                && error.networkError.status === 401) {
-                /*  auto-logout/login on HTTP 401 responses  */
-                this.logout(true).then(() => {
-                    this.login(true)
+        this._.graphqlLinkErr = onError(({ networkError, operation, forward }) => {
+            if (unauthorized(networkError)) {
+                /*  auto-renew session on HTTP 401 responses and replay the operation  */
+                this._renew()
+                return deferred(operation, forward, networkError, 1)
+            }
+            else if (   typeof networkError === "object"
+                     && networkError !== null) {
+                /*  pass-through all other network errors
+                    (where only failed requests indicate that we are offline)  */
+                if (typeof networkError.statusCode !== "number" && !(networkError instanceof GraphQLIOError))
+                    this._online(false)
+                this.error(NetworkError.from(networkError, operationOf(operation)))
+            }
+        })
+
+        /*  create retrying Apollo Link instance
+            (re-sends operations failing with retryable network errors with an
+            exponential backoff, but never mutations unless explicitly allowed)  */
+        this._.graphqlLinkRetry = new ApolloLink((operation, forward) => {
+            const policy = this._retryPolicy(operation.getContext().retry)
+            if (policy === null)
+                return forward(operation)
+            const definition = operation.query.definitions.find((def) => def.kind === "OperationDefinition")
+            if (definition && definition.operation === "mutation" && !policy.mutations)
+                return forward(operation)
+            return new Observable((observer) => {
+                let sub   = null
+                let timer = null
+                const attempt = (n) => {
+                    sub = forward(operation).subscribe({
+                        next: (result) => {
+                            observer.next(result)
+                        },
+                        error: (err) => {
+                            if (!this._retryable(err, policy, n)) {
+                                observer.error(err)
+                                return
+                            }
+                            const delay = this._retryDelay(policy, n)
+                            this.debug(2, `GraphQL request failed: retrying in ${delay}ms ` +
+                                `(retry ${n}/${policy.attempts}): ${err.message || err}`)
+                            timer = setTimeout(() => {
+                                timer = null
+                                attempt(n + 1)
+                            }, delay)
+                        },
+                        complete: () => {
+                            observer.complete()
+                        }
+                    })
+                }
+                attempt(1)
+                return () => {
+                    if (timer !== null)
+                        clearTimeout(timer)
+                    if (sub !== null)
+                        sub.unsubscribe()
+                }
+            })
+        })
+
+        /*  create session renewal awaiting Apollo Link instance
+            (queues all operations while a session renewal is pending)  */
+        this._.graphqlLinkAuth = new ApolloLink((operation, forward) => {
+            if (this._.renewing === null)
+                return forward(operation)
+            this.debug(3, "deferring GraphQL request until session is renewed")
+            return deferred(operation, forward, new Error("session renewal failed"))
+        })
+
+        /*  create application middleware Apollo Link instance
+            (runs the request/response/error phases of the middlewares
+            around each attempt of an operation)  */
+        this._.graphqlLinkMW = this._.middleware.link()
+
+        /*  optionally load whitelist manifest of persisted queries
+            (either an array of or an object keyed by the SHA-256 hashes of the queries)  */
+        if (this.$.persisted && this.$.manifest !== null) {
+            let manifest = this.$.manifest
+            if (typeof manifest === "string") {
+                this.debug(2, `loading persisted query manifest from "${manifest}"`)
+                const url = manifest.match(/^https?:/) ? manifest : `${this.$.url}${manifest}`
+                manifest = await this._http("manifest", { method: "get", url }).then(({ data }) => data)
+            }
+            if (typeof manifest !== "object" || manifest === null)
+                throw new Error("invalid persisted query manifest")
+            this._.pqManifest = {}
+            const hashes = manifest instanceof Array ? manifest : Object.keys(manifest)
+            hashes.forEach((hash) => { this._.pqManifest[hash] = true })
+        }
+
+        /*  create persisted query Apollo Link instance
+            (sends the SHA-256 hash of the query only and falls back to the
+            full query text if the server does not know the hash)  */
+        this._.graphqlLinkPQ = new ApolloLink((operation, forward) => {
+            if (!this.$.persisted || !this._.pqSupported)
+                return forward(operation)
+
+            /*  determine hash of query (cached per query AST)  */
+            let hash = this._.pqHashes.get(operation.query)
+            if (hash === undefined) {
+                hash = sha256(print(operation.query))
+                this._.pqHashes.set(operation.query, hash)
+            }
+
+            /*  optionally enforce whitelist manifest  */
+            if (this._.pqManifest !== null && this._.pqManifest[hash] !== true) {
+                return new Observable((observer) => {
+                    observer.error(new ValidationError(`query not whitelisted in persisted query manifest (hash: ${hash})`, {
+                        code: "PERSISTED_QUERY_NOT_WHITELISTED"
+                    }))
                 })
             }
-            else if (   typeof error === "object"
-                     && typeof error.networkError === "object") {
-                /*  pass-through all other network errors  */
-                this.error(`network error: ${error.networkError.toString()}`)
+
+            /*  determine persisted query errors of server  */
+            const persistedQueryError = (result) => {
+                let errors = null
+                if (typeof result === "object" && result !== null && result.errors instanceof Array)
+                    errors = result.errors
+                else if (   typeof result === "object"
+                         && result !== null
+                         && typeof result.result === "object"
+                         && result.result !== null
+                         && result.result.errors instanceof Array)
+                    errors = result.result.errors
+                if (errors === null)
+                    return null
+                if (errors.some((err) => err.message === "PersistedQueryNotSupported"
+                    || (err.extensions && err.extensions.code === "PERSISTED_QUERY_NOT_SUPPORTED")))
+                    return "not-supported"
+                if (errors.some((err) => err.message === "PersistedQueryNotFound"
+                    || (err.extensions && err.extensions.code === "PERSISTED_QUERY_NOT_FOUND")))
+                    return "not-found"
+                return null
             }
+
+            /*  send hash only and optionally retry with full query text  */
+            const persistedQuery = { version: 1, sha256Hash: hash }
+            operation.extensions.persistedQuery = persistedQuery
+            this._.pqHashOnly.add(persistedQuery)
+            operation.setContext({ http: { includeQuery: false, includeExtensions: true } })
+            return new Observable((observer) => {
+                let sub = null
+                const attempt = (retryable) => {
+                    let retried = false
+                    const retry = (result) => {
+                        const error = retryable && this._.pqManifest === null ? persistedQueryError(result) : null
+                        if (error === null)
+                            return false
+                        if (error === "not-supported") {
+                            this.debug(2, "persisted queries not supported by server: disabling them")
+                            this._.pqSupported = false
+                        }
+                        else
+                            this.debug(3, `persisted query unknown to server: sending full query (hash: ${hash})`)
+                        retried = true
+                        this._.pqHashOnly.delete(persistedQuery)
+                        operation.setContext({ http: { includeQuery: true, includeExtensions: true } })
+                        attempt(false)
+                        return true
+                    }
+                    sub = forward(operation).subscribe({
+                        next: (result) => {
+                            if (!retry(result))
+                                observer.next(result)
+                        },
+                        error: (err) => {
+                            if (!retry(err))
+                                observer.error(err)
+                        },
+                        complete: () => {
+                            if (!retried)
+                                observer.complete()
+                        }
+                    })
+                }
+                attempt(true)
+                return () => {
+                    if (sub !== null)
+                        sub.unsubscribe()
+                }
+            })
+        })
+
+        /*  create connectivity tracking Apollo Link instance
+            (any received response indicates that we are online)  */
+        this._.graphqlLinkState = new ApolloLink((operation, forward) => {
+            return forward(operation).map((result) => {
+                this._online(true)
+                return result
+            })
+        })
+
+        /*  determine whether operations are executed by an in-process server
+            (where neither batching nor file encoding make any sense)  */
+        const inProcess = (this._.mock !== null || this._.local !== null)
+
+        /*  create request batching Apollo Link instance
+            (collects the operations issued within the batching window
+            and sends them as a single batch over the active transport)  */
+        this._.batcher = this.$.batch > 0 && !inProcess ? new Batcher(this) : null
+        this._.graphqlLinkBatch = new ApolloLink((operation, forward) => {
+            if (this._.batcher === null || operation.getContext().batch === false)
+                return forward(operation)
+            return this._.batcher.request(operation)
+        })
+
+        /*  create file upload Apollo Link instance
+            (sends operations with files in their variables as GraphQL
+            multipart requests over HTTP or as binary data over WebSockets,
+            but passes them unchanged to an in-process server)  */
+        this._.uploader = new Uploader(this)
+        this._.graphqlLinkFiles = new ApolloLink((operation, forward) => {
+            if (inProcess || !this._.uploader.handles(operation))
+                return forward(operation)
+            return this._.uploader.request(operation, forward)
         })
 
         /*  provide a mapper for the unique ids of entities
@@ -170,86 +913,355 @@ export default class Client extends StdAPI {
             }
         }
 
-        /*  create the Apollo Client Cache instance  */
-        this._.graphqlCache = new InMemoryCache({
-            dataIdFromObject: dataIdFromObject,
-            addTypename:      this.$.typenames
-        })
+        /*  create the chain of Apollo Link instances  */
+        this._.graphqlLinkChain = ApolloLink.from([
+            this._.graphqlLinkAbort,
+            this._.graphqlLinkPQ,
+            this._.graphqlLinkErr,
+            this._.graphqlLinkRetry,
+            this._.graphqlLinkAuth,
+            this._.graphqlLinkMW,
+            this._.graphqlLinkState,
+            this._.graphqlLinkFiles,
+            this._.graphqlLinkBatch,
+            this._.graphqlLinkNet
+        ])
+
+        if (this._.parent !== null) {
+            /*  secondary endpoints share the Apollo Client instance of the primary endpoint
+                (which routes their operations into their own chain of Apollo Link instances)  */
+            this._.graphqlCache  = this._.parent._.graphqlCache
+            this._.graphqlClient = this._.parent._.graphqlClient
+        }
+        else {
+            /*  create endpoint routing Apollo Link instance
+                (passes the operations of secondary endpoints to their chain of Apollo Link instances)  */
+            this._.graphqlLinkRoute = new ApolloLink((operation, forward) => {
+                const name = operation.getContext().endpoint
+                if (name === undefined || this._.endpoints[name] === undefined)
+                    return forward(operation)
+                return this._.endpoints[name].client._.graphqlLinkChain.request(operation)
+            })
+
+            /*  create the Apollo Client Cache instance  */
+            this._.graphqlCache = new InMemoryCache({
+                dataIdFromObject: dataIdFromObject,
+                addTypename:      this.$.typenames
+            })
 
-        /*  create the Apollo Client instance  */
-        this._.graphqlClient = new ApolloClient({
-            cache: this._.graphqlCache,
-            link:  ApolloLink.from([
-                this._.graphqlLinkErr,
-                this._.graphqlLinkNet
-            ])
+            /*  create the Apollo Client instance
+                (without deduplication of in-flight queries in case of secondary endpoints,
+                as Apollo Client would otherwise merge the same query to different endpoints)  */
+            this._.graphqlClient = new ApolloClient({
+                cache: this._.graphqlCache,
+                link:  ApolloLink.from([
+                    this._.graphqlLinkRoute,
+                    this._.graphqlLinkChain
+                ]),
+                queryDeduplication: Object.keys(this._.endpoints).length === 0
+            })
+        }
+
+        /*  react on notification messages about outdated subscriptions  */
+        const onNotify = Chunking({
+            reset: (ctx) => {
+                ctx.sids = new OSet()
+            },
+            absorb: (ctx, sids) => {
+                sids.forEach((sid) => {
+                    ctx.sids.add(sid)
+                    this._.metrics.notified(sid)
+                })
+            },
+            emit: (ctx) => {
+                /*  received notification message about outdated subscriptions  */
+                const sids = ctx.sids.values()
+                sids.forEach((sid) => {
+                    if (this._.subscriptions[sid] !== undefined) {
+                        this.debug(2, `refetch query of subscription ${sid} ` +
+                            `(instances: ${Object.keys(this._.subscriptions[sid]).length})`)
+                        Object.keys(this._.subscriptions[sid]).forEach((iid) => {
+                            this._.subscriptions[sid][iid].refetch()
+                        })
+                    }
+                })
+            },
+            delay: this.$.throttle
         })
 
-        /*  react on subscription messages  */
-        if (this.$.mode === "websocket") {
-            const onNotify = Chunking({
-                reset: (ctx) => {
-                    ctx.sids = new OSet()
-                },
-                absorb: (ctx, sids) => {
-                    sids.forEach((sid) => ctx.sids.add(sid))
-                },
-                emit: (ctx) => {
-                    /*  received notification message about outdated subscriptions  */
-                    const sids = ctx.sids.values()
-                    sids.forEach((sid) => {
-                        if (this._.subscriptions[sid] !== undefined) {
-                            this.debug(2, `refetch query of subscription ${sid} ` +
-                                `(instances: ${Object.keys(this._.subscriptions[sid]).length})`)
-                            Object.keys(this._.subscriptions[sid]).forEach((iid) => {
-                                this._.subscriptions[sid][iid].refetch()
-                            })
-                        }
-                    })
-                },
-                delay: this.$.throttle
+        /*  refetch all active subscriptions on (re-)opened notification channels,
+            as we might have missed notifications in the meantime  */
+        const onOpen = () => {
+            this._online(true)
+            this._.metrics.opened(this._.transport)
+            Object.keys(this._.subscriptions).forEach((sid) => {
+                this.debug(2, `refetch query of subscription ${sid} ` +
+                    `(instances: ${Object.keys(this._.subscriptions[sid]).length})`)
+                Object.keys(this._.subscriptions[sid]).forEach((iid) => {
+                    this._.subscriptions[sid][iid].reset()
+                    this._.subscriptions[sid][iid].refetch(true)
+                })
             })
-            this._.graphqlLinkNet.on("receive", ({ type, data }) => {
+        }
+
+        /*  receive notifications via the WebSocket connection itself  */
+        if (this._.graphqlLinkWS !== null) {
+            this._.graphqlLinkWS.on("receive", ({ type, data }) => {
                 if (type === "GRAPHQL-NOTIFY" && Ducky.validate(data, "[ string* ]")) {
                     this.debug(1, `GraphQL notification for subscriptions: ${data.join(", ")}`)
                     onNotify(data)
                 }
             })
+            this._.graphqlLinkWS.on("open", onOpen)
+            this._.graphqlLinkWS.on("close", () => {
+                if (this._.transport === "websocket" && !this._.wsExplicit) {
+                    this._online(false)
+                    this._.metrics.dropped("websocket")
+                }
+            })
         }
 
-        /*  refetch active subscriptions on open/close messages  */
-        if (this.$.mode === "websocket") {
-            this._.graphqlLinkNet.on("open", () => {
-                Object.keys(this._.subscriptions).forEach((sid) => {
-                    this.debug(2, `refetch query of subscription ${sid} ` +
-                        `(instances: ${Object.keys(this._.subscriptions[sid]).length})`)
-                    Object.keys(this._.subscriptions[sid]).forEach((iid) => {
-                        this._.subscriptions[sid][iid].reset()
-                        this._.subscriptions[sid][iid].refetch(true)
-                    })
-                })
-            })
+        /*  receive notifications via a separate long-polling or SSE channel  */
+        if (this._.graphqlLinkHTTP !== null && this.$.notify !== "none") {
+            this._.notifier = new Notifier(this, (sids) => {
+                this.debug(1, `GraphQL notification for subscriptions: ${sids.join(", ")}`)
+                onNotify(sids)
+            }, onOpen)
+        }
+
+        /*  receive notifications of the in-process server in mock and local mode  */
+        if (this._.mock !== null)
+            this._.mock.__listen(onNotify, onOpen)
+        else if (this._.local !== null)
+            this._.local.__listen(onNotify, onOpen)
+
+        /*  optionally restore the queue of mutations issued while being offline  */
+        if (this.$.offline && this._.outbox === null) {
+            this._.outbox = new Outbox(this)
+            await this._.outbox.load()
         }
 
         /*  perform an initial connect  */
-        if (this.$.mode === "websocket")
-            await this._.graphqlLinkNet.connect()
+        this._.wsDrops = []
+        this._.online  = true
+        if (this.$.mode === "http")
+            this._switchTransport("http")
+        else if (this.$.mode === "websocket") {
+            this._switchTransport("websocket")
+            await this._.graphqlLinkWS.connect()
+        }
+        else if (this.$.mode === "mock" || this.$.mode === "local") {
+            this._switchTransport(this.$.mode)
+            this.emit("connect")
+            this.emit("open")
+            onOpen()
+        }
+        else {
+            /*  try WebSocket first and fall back to HTTP  */
+            this._switchTransport("websocket")
+            await this._.graphqlLinkWS.connect().catch((err) => {
+                this.debug(2, `WebSocket connection failed: falling back to HTTP (${err.message || err})`)
+                this._switchTransport("http")
+            })
+        }
+
+        /*  optionally load the GraphQL schema for validating all queries locally
+            (either given directly or introspected from the server)  */
+        this._.schema       = null
+        this._.schemaChecks = new WeakMap()
+        if (this.$.schema === true) {
+            this.debug(2, "loading GraphQL schema via introspection")
+            await this.introspect().then((result) => {
+                this._.schema = loadSchema(result)
+            }, (err) => {
+                this.error(`failed to introspect GraphQL schema (skipping local validation): ${err.message || err}`)
+            })
+        }
+        else if (this.$.schema !== null && this.$.schema !== false) {
+            this.debug(2, "loading GraphQL schema")
+            this._.schema = loadSchema(this.$.schema)
+        }
+
+        /*  replay mutations restored from storage (as we are already online)  */
+        if (this._.outbox !== null && this._.outbox.active())
+            this._replay()
+
+        /*  connect the secondary endpoints  */
+        for (const name of Object.keys(this._.endpoints))
+            await this._.endpoints[name].client.connect()
 
         return this
     }
 
+    /*  INTERNAL: switch the active transport  */
+    _switchTransport (transport) {
+        if (this._.transport === transport)
+            return
+        this.debug(2, `switch transport: ${this._.transport || "none"} -> ${transport}`)
+        this._.transport = transport
+
+        /*  start or stop the separate notification channel  */
+        if (this._.notifier !== null) {
+            if (transport === "http")
+                this._.notifier.connect()
+            else
+                this._.notifier.disconnect()
+        }
+
+        /*  in automatic mode, periodically try to upgrade to WebSocket again  */
+        if (this.$.mode === "auto") {
+            if (this._.upgradeTimer !== null) {
+                clearTimeout(this._.upgradeTimer)
+                this._.upgradeTimer = null
+            }
+            if (transport === "http") {
+                const upgrade = () => {
+                    this._.upgradeTimer = setTimeout(() => {
+                        this.debug(2, "trying to upgrade transport to WebSocket")
+                        this._.graphqlLinkWS.connect().catch(() => {
+                            if (this._.transport === "http")
+                                upgrade()
+                        })
+                    }, this.$.upgradeDelay)
+                }
+                upgrade()
+            }
+        }
+
+        /*  notify application about the active transport  */
+        this.emit("transport", transport)
+    }
+
+    /*  INTERNAL: start or stop sending heartbeats over the WebSocket connection
+        (a connection not answering a heartbeat within the heartbeat
+        interval is considered dropped and is forcefully re-established)  */
+    _heartbeat (enable) {
+        if (this._.heartbeatTimer !== null) {
+            clearTimeout(this._.heartbeatTimer)
+            this._.heartbeatTimer = null
+        }
+        if (!enable)
+            return
+        const query = gql`{ __typename }`
+        const beat = () => {
+            this._.heartbeatTimer = setTimeout(() => {
+                const ws = this._.graphqlLinkWS !== null ? this._.graphqlLinkWS._ws : null
+                if (ws === null)
+                    return
+                this.debug(3, "sending WebSocket heartbeat")
+                let answered = false
+                const sub = ApolloLink.execute(this._.graphqlLinkWS, { query }).subscribe({
+                    next:  () => { answered = true },
+                    error: () => {}
+                })
+                this._.heartbeatTimer = setTimeout(() => {
+                    sub.unsubscribe()
+                    if (answered)
+                        beat()
+                    else if (this._.graphqlLinkWS !== null && this._.graphqlLinkWS._ws === ws) {
+                        this.debug(2, "WebSocket heartbeat not answered: dropping connection")
+                        if (typeof ws.terminate === "function")
+                            ws.terminate()
+                        else
+                            ws.close(4000)
+                    }
+                }, this.$.heartbeat)
+            }, this.$.heartbeat)
+        }
+        beat()
+    }
+
+    /*  INTERNAL: track whether we are online  */
+    _online (online) {
+        if (this._.online === online)
+            return
+        this.debug(2, `network ${online ? "reachable (online)" : "unreachable (offline)"}`)
+        this._.online = online
+
+        /*  replay mutations issued while being offline  */
+        if (online)
+            this._replay()
+    }
+
+    /*  INTERNAL: replay the queued mutations in the background  */
+    _replay () {
+        if (this._.outbox === null)
+            return
+        this._.outbox.replay().catch((err) => {
+            this.error(`failed to replay queued mutations: ${err.message || err}`)
+        })
+    }
+
+    /*  inspect the mutations queued while being offline  */
+    queued () {
+        return this._.outbox !== null ? this._.outbox.items() : []
+    }
+
+    /*  discard a single (or all) mutations queued while being offline  */
+    discard (id = null) {
+        return this._.outbox !== null ? this._.outbox.discard(id) : Promise.resolve(0)
+    }
+
+    /*  replay the mutations queued while being offline  */
+    replay () {
+        return this._.outbox !== null ? this._.outbox.replay() : Promise.resolve(0)
+    }
+
+    /*  determine the active transport  */
+    transport () {
+        return this._.transport
+    }
+
+    /*  determine the test harness of the mock mode  */
+    mock () {
+        return this._.mock
+    }
+
     /*  disconnect from the backend endpoints  */
     async disconnect () {
+        /*  disconnect the secondary endpoints  */
+        for (const name of Object.keys(this._.endpoints))
+            await this._.endpoints[name].client.disconnect()
+
         /*  perform a final disconnect  */
         this.debug(2, "disconnect from backend")
-        if (this.$.mode === "websocket")
-            await this._.graphqlLinkNet.disconnect()
+        if (this._.upgradeTimer !== null) {
+            clearTimeout(this._.upgradeTimer)
+            this._.upgradeTimer = null
+        }
+        this._heartbeat(false)
+        if (this._.graphqlLinkWS !== null)
+            await this._.graphqlLinkWS.disconnect()
+        if (this._.notifier !== null)
+            this._.notifier.disconnect()
+        if (this._.outbox !== null)
+            this._.outbox.stop()
+        if (this.$.mode === "mock" || this.$.mode === "local") {
+            this.emit("close")
+            this.emit("disconnect")
+        }
 
         /*  cleanup  */
-        this._.graphqlClient  = null
-        this._.graphqlCache   = null
-        this._.graphqlLinkErr = null
-        this._.graphqlLinkNet = null
+        this._.graphqlClient    = null
+        this._.graphqlCache     = null
+        this._.graphqlLinkRoute = null
+        this._.graphqlLinkChain = null
+        this._.graphqlLinkAbort = null
+        this._.graphqlLinkErr   = null
+        this._.graphqlLinkRetry = null
+        this._.graphqlLinkAuth  = null
+        this._.graphqlLinkMW    = null
+        this._.graphqlLinkPQ    = null
+        this._.graphqlLinkState = null
+        this._.graphqlLinkBatch = null
+        this._.graphqlLinkFiles = null
+        this._.graphqlLinkNet   = null
+        this._.graphqlLinkWS    = null
+        this._.graphqlLinkHTTP  = null
+        this._.batcher          = null
+        this._.uploader         = null
+        this._.notifier         = null
+        this._.transport        = null
         return this
     }
 
@@ -266,38 +1278,103 @@ export default class Client extends StdAPI {
         }
 
         /*  send credentials to backend  */
-        return Axios.post(`${this.$.url}${this.$.path.login}`, {
-            username: this._.loginUsername,
-            password: this._.loginPassword
-        }).then(async (response) => {
-            /*  remember token and peer (for use in non-browser environment
-                where we have to manually send them as cookies back)  */
-            if (   typeof response === "object"
-                && typeof response.data === "object"
-                && typeof response.data.token === "string") {
-                this._.token = response.data.token
-                this._.peer  = response.data.peer
-            }
-
-            /*  for WebSocket connections, force a re-establishment
-                as the server has to be forced to authenticate us again  */
-            if (this.$.mode === "websocket") {
-                await this._.graphqlLinkNet.disconnect()
-                await this._.graphqlLinkNet.connect()
-            }
+        return this._retry("login", () => this._http("login", {
+            method: "post",
+            url:    `${this.$.url}${this.$.path.login}`,
+            data:   { username: this._.loginUsername, password: this._.loginPassword }
+        })).then(async (response) => {
+            await this._authenticated(response)
             return true
         }, (err) => {
-            this.error(`login failed: ${err}`)
+            this.error(new AuthError(`login failed: ${err}`, { originalError: err }))
             return false
         })
     }
 
+    /*  INTERNAL: take over authentication information  */
+    async _authenticated (response) {
+        /*  remember token and peer (for use in non-browser environment
+            where we have to manually send them back as cookies, or
+            for sending the token back as a bearer token)  */
+        if (   typeof response === "object"
+            && typeof response.data === "object"
+            && response.data !== null
+            && typeof response.data.token === "string") {
+            this._.token = response.data.token
+            this._.peer  = response.data.peer
+        }
+
+        /*  for WebSocket connections, force a re-establishment
+            as the server has to be forced to authenticate us again  */
+        if (this._.transport === "websocket") {
+            await this._.graphqlLinkWS.disconnect()
+            await this._.graphqlLinkWS.connect()
+        }
+    }
+
+    /*  INTERNAL: renew an expired session
+        (all callers share a single pending renewal)  */
+    _renew () {
+        if (this._.renewing !== null)
+            return this._.renewing
+        this.debug(2, "session expired")
+        this.emit("session-expired")
+
+        /*  perform a single renewal attempt  */
+        const renew = () => {
+            if (this.$.path.refresh !== "") {
+                /*  refresh session via dedicated refresh service  */
+                return this._retry("session refresh", () =>
+                    this._http("session refresh", { method: "post", url: `${this.$.url}${this.$.path.refresh}` })
+                ).then(async (response) => {
+                    await this._authenticated(response)
+                    return true
+                }, (err) => {
+                    this.debug(2, `session refresh failed: ${err}`)
+                    return false
+                })
+            }
+            else {
+                /*  re-login with the stored credentials
+                    (or with new credentials from the "login-credentials" hook)  */
+                return this.login(!!this._.loginUsername)
+            }
+        }
+
+        /*  perform a bounded number of renewal attempts  */
+        const attempt = (n) => {
+            this.debug(2, `renew session (attempt ${n}/${this.$.renewAttempts})`)
+            return renew().catch(() => false).then((renewed) => {
+                if (renewed || n >= this.$.renewAttempts)
+                    return renewed
+                return new Promise((resolve) => {
+                    setTimeout(() => resolve(attempt(n + 1)), this.$.renewDelay)
+                })
+            })
+        }
+        this._.renewing = attempt(1).then((renewed) => {
+            this._.renewing = null
+            if (renewed) {
+                this.debug(2, "session renewed")
+                this.emit("session-renewed")
+            }
+            else
+                this.error(new AuthError(`session renewal failed (after ${this.$.renewAttempts} attempts)`))
+            return renewed
+        })
+        return this._.renewing
+    }
+
     /*  perform a logout  */
     logout (implicit = false) {
         this.debug(2, `logout at backend (${implicit ? "implicitly" : "explicitly"})`)
-        return Axios.get(`${this.$.url}${this.$.path.logout}`).then(() => {
-            this._.loginUsername = null
-            this._.loginPassword = null
+        return this._http("logout", { method: "get", url: `${this.$.url}${this.$.path.logout}` }).then(() => {
+            /*  forget the credentials on explicit logouts only,
+                as implicit logouts are followed by implicit re-logins  */
+            if (!implicit) {
+                this._.loginUsername = null
+                this._.loginPassword = null
+            }
             this._.token         = null
             this._.peer          = null
             return true
@@ -310,7 +1387,9 @@ export default class Client extends StdAPI {
     /*  check session information  */
     session () {
         this.debug(2, "check session at backend")
-        return Axios.get(`${this.$.url}${this.$.path.session}`).then(({ data }) => {
+        return this._retry("session check", () =>
+            this._http("session check", { method: "get", url: `${this.$.url}${this.$.path.session}` })
+        ).then(({ data }) => {
             return data
         }, (err) => {
             this.error(`session check failed: ${err}`)
@@ -326,16 +1405,49 @@ export default class Client extends StdAPI {
             errorsEmit?: boolean,
             errorsPass?: boolean,
             dataStrict?: boolean,
-            dataRequire?: string
+            dataRequire?: string,
+            offline?: boolean,
+            onConflict?: function,
+            onError?: function,
+            fetchPolicy?: /^(?:cache-first|cache-and-network|network-only|cache-only|no-cache)$/,
+            optimisticResponse?: (object|function),
+            update?: function,
+            batch?: boolean,
+            timeout?: number,
+            signal?: object,
+            retry?: (boolean|object),
+            delta?: boolean,
+            context?: object,
+            endpoint?: (string|null)
         }`, err))
             throw new Error(`invalid options: ${err.join("; ")}`)
 
+        /*  route operation to its endpoint  */
+        const endpoint = this._route(query, opts.endpoint || null)
+        if (endpoint !== this) {
+            opts = Object.assign({}, opts)
+            delete opts.endpoint
+            return endpoint._graphql(type, query, vars, opts)
+        }
+
         /*  provide defaults for options  */
         opts = Object.assign({}, {
-            errorsEmit:  true,
-            errorsPass:  true,
-            dataStrict:  false,
-            dataRequire: null
+            errorsEmit:         true,
+            errorsPass:         true,
+            dataStrict:         false,
+            dataRequire:        null,
+            offline:            true,
+            onConflict:         null,
+            onError:            null,
+            fetchPolicy:        null,
+            optimisticResponse: null,
+            update:             null,
+            batch:              true,
+            timeout:            0,
+            signal:             null,
+            retry:              null,
+            delta:              false,
+            context:            null
         }, opts)
 
         /*  optionally compile data requirement specification  */
@@ -348,22 +1460,9 @@ export default class Client extends StdAPI {
             }
         }
 
-        /*  provide a smart intermediate error handler  */
+        /*  provide an intermediate error handler
+            (receiving the structured GraphQL-IO errors of the query)  */
         const onError = (err) => {
-            if (typeof err === "object"
-                && err !== null
-                && typeof err.path === "object"
-                && err.path !== null
-                && err.path instanceof Array
-                && typeof err.message === "string")
-                err = `GraphQL error at path ${err.path.join(".")}: ${err.message}`
-            else if (typeof err === "object"
-                && err !== null
-                && typeof err.message === "string")
-                err = err.message
-            else
-                err = err.toString()
-            err = err.replace(/(?:\s|\r?\n)+/g, " ")
             if (opts.errorsEmit)
                 this.error(err)
         }
@@ -377,10 +1476,64 @@ export default class Client extends StdAPI {
     query    (...args) { return this._graphql("query", ...args) }
     mutation (...args) { return this._graphql("mutation", ...args) }
 
+    /*  watch (cache-only) query  */
+    watch (query, vars = {}, opts = {}) {
+        return this._graphql("query", query, vars, opts).watch()
+    }
+
+    /*  read query result from the local cache  */
+    readQuery (query, vars = {}) {
+        const data = this._.graphqlClient.readQuery({ query: gql`${query}`, variables: vars })
+        return clone(data, false)
+    }
+
+    /*  write query result into the local cache
+        (and let all affected watches re-emit)  */
+    writeQuery (query, vars = {}, data = {}) {
+        this._.graphqlClient.writeQuery({ query: gql`${query}`, variables: vars, data })
+        return this
+    }
+
+    /*  introspect the GraphQL schema of the server
+        (e.g. for generating code with the Codegen class)  */
+    introspect () {
+        return this.query(getIntrospectionQuery({ descriptions: false }), {}, {
+            errorsEmit:  false,
+            fetchPolicy: "no-cache",
+            batch:       false
+        }).then((result) => {
+            if (result.errors)
+                throw new Error(`introspection failed: ${result.errors.map((err) => err.message).join("; ")}`)
+            return result.data
+        })
+    }
+
+    /*  upload a BLOB  */
+    upload (name, data, opts = {}) {
+        return this._.blobs.upload(name, data, opts)
+    }
+
+    /*  download a BLOB  */
+    download (name, opts = {}) {
+        return this._.blobs.download(name, opts)
+    }
+
+    /*  determine the metadata of a BLOB  */
+    stat (name) {
+        return this._.blobs.stat(name)
+    }
+
+    /*  delete a BLOB  */
+    remove (name) {
+        return this._.blobs.remove(name)
+    }
+
     /*  fetch  */
     fetch (name) {
         this.debug(2, `fetching BLOB "${name}"`)
-        return Axios.get(`${this.$.url}${this.$.path.blob}/${name}`).then((data) => {
+        return this._retry(`fetching of BLOB "${name}"`, () =>
+            this._http("fetch", { method: "get", url: `${this.$.url}${this.$.path.blob}/${name}` })
+        ).then((data) => {
             return data
         }, (err) => {
             this.error(`fetching of BLOB "${name}" failed: ${err}`)
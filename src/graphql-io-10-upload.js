@@ -0,0 +1,280 @@
+/*
+**  GraphQL-IO -- GraphQL Network Communication Framework
+**  Copyright (c) 2016-2019 Dr. Ralf S. Engelschall <rse@engelschall.com>
+**
+**  Permission is hereby granted, free of charge, to any person obtaining
+**  a copy of this software and associated documentation files (the
+**  "Software"), to deal in the Software without restriction, including
+**  without limitation the rights to use, copy, modify, merge, publish,
+**  distribute, sublicense, and/or sell copies of the Software, and to
+**  permit persons to whom the Software is furnished to do so, subject to
+**  the following conditions:
+**
+**  The above copyright notice and this permission notice shall be included
+**  in all copies or substantial portions of the Software.
+**
+**  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+**  EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+**  MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+**  IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+**  CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT,
+**  TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
+**  SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/*  external dependencies  */
+import Axios               from "axios"
+import Ducky               from "ducky"
+import { Observable }      from "apollo-link"
+import { print }           from "graphql/language/printer"
+
+/*  internal dependencies  */
+import Blobs               from "./graphql-io-9-blob"
+import { ValidationError } from "./graphql-io-8-error"
+
+/*  determine whether we are running under a Browser environment
+    (where files are given as File or Blob objects instead of Buffers and Streams)  */
+const isBrowser = (typeof XMLHttpRequest !== "undefined")
+
+/*  the Uploader class
+    (the transmitter of GraphQL operations with files in their variables,
+    as GraphQL multipart requests over HTTP and as binary data over WebSockets)  */
+export default class Uploader {
+    constructor (api) {
+        /*  define internal state  */
+        Object.defineProperty(this, "_", {
+            configurable: false,
+            enumerable:   false,
+            writable:     false,
+            value:        {}
+        })
+
+        /*  remember internal state  */
+        this._.api      = api
+        this._.prepared = new WeakMap()
+    }
+
+    /*  determine whether a value is a file
+        (a File or Blob, a Node Buffer or a Node Readable stream)  */
+    static isFile (value) {
+        return (
+            (typeof Blob !== "undefined" && value instanceof Blob)
+            || (typeof Buffer !== "undefined" && Buffer.isBuffer(value))
+            || (   typeof value === "object"
+                && value !== null
+                && typeof value.pipe === "function"
+                && typeof value.on === "function")
+        )
+    }
+
+    /*  extract all files from the variables
+        (returns a copy of the variables with the files replaced by null,
+        and the files with their object paths according to the GraphQL multipart request spec)  */
+    static extract (variables) {
+        const files = []
+        const walk = (value, path) => {
+            if (Uploader.isFile(value)) {
+                files.push({ path, value })
+                return null
+            }
+            else if (value instanceof Array)
+                return value.map((item, i) => walk(item, `${path}.${i}`))
+            else if (   typeof value === "object"
+                     && value !== null
+                     && (   Object.getPrototypeOf(value) === Object.prototype
+                         || Object.getPrototypeOf(value) === null)) {
+                const copy = {}
+                Object.keys(value).forEach((key) => {
+                    copy[key] = walk(value[key], `${path}.${key}`)
+                })
+                return copy
+            }
+            else
+                return value
+        }
+        variables = walk(variables, "variables")
+        return { variables, files }
+    }
+
+    /*  determine whether the variables contain any files  */
+    static has (variables) {
+        return Uploader.extract(variables).files.length > 0
+    }
+
+    /*  determine whether an operation has to be sent with files  */
+    handles (operation) {
+        return this._.prepared.has(operation) || Uploader.has(operation.variables)
+    }
+
+    /*  INTERNAL: determine the filename and content type of a file  */
+    __describe (value) {
+        let filename = "blob"
+        if (typeof value.name === "string")
+            filename = value.name
+        else if (typeof value.path === "string")
+            filename = value.path.replace(/^.*[/\\]/, "")
+        let type = "application/octet-stream"
+        if (typeof value.type === "string" && value.type !== "")
+            type = value.type
+        return { filename, type }
+    }
+
+    /*  INTERNAL: read a file into a re-readable binary value
+        (a File or Blob under Browser environments and a Buffer under Node environments)  */
+    __read (value) {
+        if (typeof value.pipe === "function") {
+            /*  read stream  */
+            return new Promise((resolve, reject) => {
+                const chunks = []
+                value.on("data", (chunk) => {
+                    chunks.push(typeof chunk === "string" ? Buffer.from(chunk, "utf8") : chunk)
+                })
+                value.on("error", reject)
+                value.on("end", () => resolve(Buffer.concat(chunks)))
+            })
+        }
+        else if (!isBrowser && !Buffer.isBuffer(value))
+            return value.arrayBuffer().then((data) => Buffer.from(data))
+        else
+            return Promise.resolve(value)
+    }
+
+    /*  INTERNAL: convert a binary value for sending it over WebSockets
+        (where under Browser environments the encoders require a Uint8Array)  */
+    __encode (value) {
+        if (!isBrowser)
+            return Promise.resolve(value)
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader()
+            reader.onload  = () => resolve(new Uint8Array(reader.result))
+            reader.onerror = () => reject(reader.error)
+            reader.readAsArrayBuffer(value)
+        })
+    }
+
+    /*  INTERNAL: prepare the variables of an operation for the transport
+        (the files are read once per operation, as streams cannot be read again on retries)  */
+    __prepare (operation, transport) {
+        let prepared = this._.prepared.get(operation)
+        if (prepared === undefined) {
+            const { files } = Uploader.extract(operation.variables)
+            prepared = {
+                original: operation.variables,
+                binaries: Promise.all(files.map((file) => this.__read(file.value)))
+            }
+            this._.prepared.set(operation, prepared)
+        }
+        const { variables, files } = Uploader.extract(prepared.original)
+        if (transport === "websocket") {
+            /*  put the binary data back into the variables  */
+            if (this._.api.$.encoding === "json") {
+                return Promise.reject(new ValidationError("file uploads over WebSockets " +
+                    "require the \"cbor\" or \"msgpack\" encoding", { code: "UPLOAD_NOT_SUPPORTED" }))
+            }
+            return prepared.binaries.then((binaries) => {
+                return Promise.all(binaries.map((binary) => this.__encode(binary)))
+            }).then((binaries) => {
+                files.forEach((file, i) => {
+                    const keys = file.path.split(".").slice(1)
+                    const last = keys.pop()
+                    const container = keys.reduce((obj, key) => obj[key], variables)
+                    container[last] = binaries[i]
+                })
+                return { variables, files: [] }
+            })
+        }
+        else {
+            /*  keep the binary data separately  */
+            return prepared.binaries.then((binaries) => ({
+                variables,
+                files: files.map((file, i) => Object.assign({
+                    path:  file.path,
+                    value: binaries[i]
+                }, this.__describe(file.value)))
+            }))
+        }
+    }
+
+    /*  INTERNAL: send an operation as a GraphQL multipart request over HTTP  */
+    __send (operation, prepared, cancelToken) {
+        const api = this._.api
+        const request = { query: print(operation.query), variables: prepared.variables }
+        if (operation.operationName)
+            request.operationName = operation.operationName
+        if (Object.keys(operation.extensions).length > 0) {
+            request.extensions = operation.extensions
+            if (api._.pqHashOnly.has(operation.extensions.persistedQuery))
+                delete request.query
+        }
+        const map = {}
+        prepared.files.forEach((file, i) => { map[i] = [ file.path ] })
+        const { body, headers } = Blobs.multipart([
+            { name: "operations", value: JSON.stringify(request) },
+            { name: "map",        value: JSON.stringify(map) }
+        ].concat(prepared.files.map((file, i) => ({
+            name:     String(i),
+            value:    file.value,
+            filename: file.filename,
+            type:     file.type
+        }))))
+        api.debug(2, `sending GraphQL multipart request with ${prepared.files.length} file(s)`)
+        return api._.http.post(`${api.$.url}${api.$.path.graph}`, body, {
+            headers: Object.assign({}, operation.getContext().headers, headers),
+            cancelToken,
+            maxContentLength: Infinity
+        }).then(({ data }) => data, (err) => {
+            if (err.response) {
+                /*  provide the same error information as the HTTP link  */
+                err.statusCode = err.response.status
+                err.result     = err.response.data
+            }
+            throw err
+        })
+    }
+
+    /*  send an operation with files in its variables  */
+    request (operation, forward) {
+        const api = this._.api
+        const transport = api.$.mode === "auto" ? api._.transport : api.$.mode
+        return new Observable((observer) => {
+            let sub       = null
+            let source    = null
+            let cancelled = false
+            this.__prepare(operation, transport).then((prepared) => {
+                if (cancelled)
+                    return
+                if (transport === "websocket") {
+                    /*  send files as binary data within the variables
+                        (encoded into binary WebSocket frames)  */
+                    operation.variables = prepared.variables
+                    sub = forward(operation).subscribe(observer)
+                    return
+                }
+
+                /*  send files as a GraphQL multipart request  */
+                source = Axios.CancelToken.source()
+                return this.__send(operation, prepared, source.token).then((result) => {
+                    if (cancelled)
+                        return
+                    if (!Ducky.validate(result,
+                        "({ data: Object, errors?: [ Object* ] } | { data?: Object, errors: [ Object* ] })"))
+                        throw new Error("invalid GraphQL response object")
+                    operation.setContext({ response: result })
+                    observer.next(result)
+                    observer.complete()
+                })
+            }).catch((err) => {
+                if (!cancelled)
+                    observer.error(err)
+            })
+            return () => {
+                cancelled = true
+                if (sub !== null)
+                    sub.unsubscribe()
+                if (source !== null)
+                    source.cancel("operation cancelled")
+            }
+        })
+    }
+}
+
@@ -0,0 +1,208 @@
+/*
+**  GraphQL-IO -- GraphQL Network Communication Framework
+**  Copyright (c) 2016-2019 Dr. Ralf S. Engelschall <rse@engelschall.com>
+**
+**  Permission is hereby granted, free of charge, to any person obtaining
+**  a copy of this software and associated documentation files (the
+**  "Software"), to deal in the Software without restriction, including
+**  without limitation the rights to use, copy, modify, merge, publish,
+**  distribute, sublicense, and/or sell copies of the Software, and to
+**  permit persons to whom the Software is furnished to do so, subject to
+**  the following conditions:
+**
+**  The above copyright notice and this permission notice shall be included
+**  in all copies or substantial portions of the Software.
+**
+**  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+**  EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+**  MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+**  IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+**  CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT,
+**  TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
+**  SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/*  external dependencies  */
+import Ducky                      from "ducky"
+import gql                        from "graphql-tag"
+import { ApolloLink, Observable } from "apollo-link"
+import { print }                  from "graphql/language/printer"
+
+/*  the Middleware class
+    (the ordered chain of application-provided request/response/error
+    handlers around GraphQL operations and non-GraphQL HTTP requests)  */
+export default class Middleware {
+    constructor (api) {
+        /*  define internal state  */
+        Object.defineProperty(this, "_", {
+            configurable: false,
+            enumerable:   false,
+            writable:     false,
+            value:        {}
+        })
+
+        /*  remember internal state  */
+        this._.api   = api
+        this._.chain = []
+    }
+
+    /*  add a middleware to the chain
+        (ordered by ascending "order", and in registration order for equal orders)  */
+    use (middleware) {
+        const err = []
+        if (!Ducky.validate(middleware, `{
+            name?:     string,
+            order?:    number,
+            request?:  function,
+            response?: function,
+            error?:    function
+        }`, err))
+            throw new Error(`invalid middleware: ${err.join("; ")}`)
+        const order = (mw) => typeof mw.order === "number" ? mw.order : 0
+        let i = this._.chain.length
+        while (i > 0 && order(this._.chain[i - 1]) > order(middleware))
+            i--
+        this._.chain.splice(i, 0, middleware)
+        this._.api.debug(2, `added middleware "${middleware.name || "anonymous"}" (order: ${order(middleware)})`)
+        return this
+    }
+
+    /*  remove a middleware from the chain  */
+    unuse (middleware) {
+        const i = this._.chain.indexOf(middleware)
+        if (i < 0)
+            return false
+        this._.chain.splice(i, 1)
+        return true
+    }
+
+    /*  INTERNAL: run one phase of all middlewares
+        (the request phase in chain order, the response and error phases in reverse order)  */
+    async __phase (phase, ctx) {
+        const chain = phase === "request" ? this._.chain.slice() : this._.chain.slice().reverse()
+        for (const middleware of chain)
+            if (typeof middleware[phase] === "function")
+                await middleware[phase](ctx)
+    }
+
+    /*  INTERNAL: perform a request under the middleware chain
+        (the error phase can replace the error, or recover from it
+        by setting the error to null and providing a response)  */
+    async __run (ctx, perform) {
+        try {
+            await this.__phase("request", ctx)
+            ctx.response = await perform(ctx.request)
+            await this.__phase("response", ctx)
+        }
+        catch (err) {
+            ctx.error = err
+            await this.__phase("error", ctx)
+            if (ctx.error !== null)
+                throw ctx.error
+        }
+        return ctx.response
+    }
+
+    /*  perform a non-GraphQL HTTP request (an Axios request configuration)  */
+    http (name, config, perform, endpoint = "default") {
+        const ctx = {
+            kind:     "http",
+            endpoint: endpoint,
+            name:     name,
+            request:  Object.assign({}, config, { headers: Object.assign({}, config.headers) }),
+            context:  {},
+            response: null,
+            error:    null
+        }
+        if (this._.chain.length === 0)
+            return perform(ctx.request)
+        return this.__run(ctx, perform)
+    }
+
+    /*  create the Apollo Link instance for GraphQL operations  */
+    link () {
+        return new ApolloLink((operation, forward) => {
+            if (this._.chain.length === 0)
+                return forward(operation)
+            const definition = operation.query.definitions.find((def) => def.kind === "OperationDefinition")
+            const type = definition ? definition.operation : "query"
+            const query = print(operation.query)
+            const ctx = {
+                kind:     "graphql",
+                endpoint: operation.getContext().endpoint || "default",
+                name:     operation.operationName || type,
+                request:  {
+                    type:          type,
+                    query:         query,
+                    variables:     operation.variables,
+                    operationName: operation.operationName,
+                    extensions:    Object.assign({}, operation.extensions),
+                    headers:       {}
+                },
+                context:  operation.getContext().middleware || {},
+                response: null,
+                error:    null
+            }
+            return new Observable((observer) => {
+                let sub    = null
+                let closed = false
+                const perform = (request) => {
+                    if (closed)
+                        return Promise.resolve(null)
+
+                    /*  take over the changes of the request phase
+                        (where a changed query text is sent itself, as the hash of the
+                        persisted query still refers to the original query text)  */
+                    if (request.query !== query) {
+                        operation.query = gql(request.query)
+                        delete operation.extensions.persistedQuery
+                        delete request.extensions.persistedQuery
+                        operation.setContext(({ http = {} }) => ({
+                            http: Object.assign({}, http, { includeQuery: true })
+                        }))
+                    }
+                    operation.variables = request.variables
+                    if (Object.keys(request.extensions).length > 0) {
+                        /*  send extensions with the request
+                            (which works for all transports and within request batches)  */
+                        Object.assign(operation.extensions, request.extensions)
+                        operation.setContext(({ http = {} }) => ({
+                            http: Object.assign({}, http, { includeExtensions: true })
+                        }))
+                    }
+                    if (Object.keys(request.headers).length > 0) {
+                        /*  send headers with the HTTP request
+                            (which requires the operation to be sent on its own)  */
+                        operation.setContext(({ headers = {} }) => ({
+                            headers: Object.assign({}, headers, request.headers),
+                            batch:   false
+                        }))
+                    }
+                    return new Promise((resolve, reject) => {
+                        let result = null
+                        sub = forward(operation).subscribe({
+                            next:     (data) => { result = data },
+                            error:    (err) => { reject(err) },
+                            complete: () => { resolve(result) }
+                        })
+                    })
+                }
+                this.__run(ctx, perform).then((result) => {
+                    if (closed)
+                        return
+                    observer.next(result)
+                    observer.complete()
+                }, (err) => {
+                    if (!closed)
+                        observer.error(err)
+                })
+                return () => {
+                    closed = true
+                    if (sub !== null)
+                        sub.unsubscribe()
+                }
+            })
+        })
+    }
+}
+
@@ -0,0 +1,179 @@
+/*
+**  GraphQL-IO -- GraphQL Network Communication Framework
+**  Copyright (c) 2016-2019 Dr. Ralf S. Engelschall <rse@engelschall.com>
+**
+**  Permission is hereby granted, free of charge, to any person obtaining
+**  a copy of this software and associated documentation files (the
+**  "Software"), to deal in the Software without restriction, including
+**  without limitation the rights to use, copy, modify, merge, publish,
+**  distribute, sublicense, and/or sell copies of the Software, and to
+**  permit persons to whom the Software is furnished to do so, subject to
+**  the following conditions:
+**
+**  The above copyright notice and this permission notice shall be included
+**  in all copies or substantial portions of the Software.
+**
+**  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+**  EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+**  MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+**  IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+**  CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT,
+**  TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
+**  SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/*  external dependencies  */
+import { Observable } from "apollo-link"
+import { print }      from "graphql/language/printer"
+
+/*  internal dependencies  */
+import Local          from "./graphql-io-13-local"
+
+/*  the Mock class
+    (the transport of the "mock" communication mode, resolving all GraphQL
+    operations from a resolver map or an executable schema in-process, and
+    the test harness for simulating the events of a GraphQL-IO server)  */
+export default class Mock {
+    constructor (api) {
+        /*  define internal state  */
+        Object.defineProperty(this, "_", {
+            configurable: false,
+            enumerable:   false,
+            writable:     false,
+            value:        {}
+        })
+
+        /*  remember internal state  */
+        this._.api      = api
+        this._.server   = new Local(api, { source: api.$.mock, notify: false })
+        this._.dropped  = false
+        this._.expired  = 0
+        this._.requests = []
+        this._.routes   = {}
+
+        /*  provide the default responses of the authentication services  */
+        const session = { token: "mock-token", peer: "mock-peer" }
+        this.route("POST", api.$.path.login,   () => ({ status: 200, data: session }))
+        this.route("GET",  api.$.path.session, () => ({ status: 200, data: {} }))
+        this.route("GET",  api.$.path.logout,  () => ({ status: 200, data: {} }))
+        if (api.$.path.refresh !== "")
+            this.route("POST", api.$.path.refresh, () => ({ status: 200, data: session }))
+    }
+
+    /*  INTERNAL: attach to the notification handling of the client  */
+    __listen (onNotify, onOpen) {
+        this._.server.__listen(onNotify, onOpen)
+    }
+
+    /*  INTERNAL: the Axios adapter for all non-GraphQL HTTP requests  */
+    __adapter (config) {
+        const api    = this._.api
+        const method = config.method.toUpperCase()
+        const path   = config.url.replace(/^https?:\/\/[^/]+/, "").replace(/\?.*$/, "")
+        return Promise.resolve().then(() => {
+            const handler = this._.routes[`${method} ${path}`]
+            return handler !== undefined ? handler(config) : { status: 404, data: null }
+        }).then(({ status = 200, data = null, headers = {} }) => {
+            api.debug(3, `mock HTTP request: ${method} ${path} -> ${status}`)
+            const response = { data, status, statusText: String(status), headers, config, request: null }
+            if (status < 200 || status >= 300) {
+                const err = new Error(`Request failed with status code ${status}`)
+                err.config   = config
+                err.response = response
+                throw err
+            }
+            return response
+        })
+    }
+
+    /*  the Apollo Link request function of the transport  */
+    request (operation) {
+        const api = this._.api
+        return new Observable((observer) => {
+            let cancelled = false
+            this._.requests.push({
+                operationName: operation.operationName,
+                query:         print(operation.query),
+                variables:     operation.variables
+            })
+            Promise.resolve().then(() => {
+                if (this._.dropped)
+                    throw new Error("mock connection dropped")
+                if (this._.expired > 0) {
+                    this._.expired--
+                    const err = new Error("Response not successful: Received status code 401")
+                    err.statusCode = 401
+                    throw err
+                }
+                return this._.server.execute(operation)
+            }).then((result) => {
+                if (cancelled)
+                    return
+                api.debug(3, `mock GraphQL response: ${JSON.stringify(result)}`)
+                observer.next(result)
+                observer.complete()
+            }, (err) => {
+                if (!cancelled)
+                    observer.error(err)
+            })
+            return () => { cancelled = true }
+        })
+    }
+
+    /*  override the response of a non-GraphQL HTTP request
+        (the handler receives the Axios request configuration and
+        returns (a promise of) an object with "status", "data" and "headers")  */
+    route (method, path, handler) {
+        this._.routes[`${method.toUpperCase()} ${path}`] = handler
+        return this
+    }
+
+    /*  simulate a notification message about outdated subscriptions
+        (by default for all subscriptions which are not paused)  */
+    notify (sids = null) {
+        this._.server.notify(sids)
+        return this
+    }
+
+    /*  simulate a dropped connection
+        (all subsequent GraphQL operations fail with a network error)  */
+    drop () {
+        const api = this._.api
+        this._.dropped = true
+        api.emit("close")
+        api._online(false)
+        api._.metrics.dropped("mock")
+        return this
+    }
+
+    /*  simulate a (re-)opened connection
+        (which refetches all subscriptions)  */
+    open () {
+        const api = this._.api
+        this._.dropped = false
+        api.emit("open")
+        this._.server.open()
+        return this
+    }
+
+    /*  simulate an expired session
+        (the next GraphQL operations fail with HTTP status 401)  */
+    expire (count = 1) {
+        this._.expired = count
+        return this
+    }
+
+    /*  determine the subscriptions known to the simulated server  */
+    subscriptions () {
+        return this._.server.subscriptions()
+    }
+
+    /*  determine (and optionally clear) the log of GraphQL operations received so far  */
+    requests (clear = false) {
+        const requests = this._.requests
+        if (clear)
+            this._.requests = []
+        return requests
+    }
+}
+
@@ -0,0 +1,298 @@
+/*
+**  GraphQL-IO -- GraphQL Network Communication Framework
+**  Copyright (c) 2016-2019 Dr. Ralf S. Engelschall <rse@engelschall.com>
+**
+**  Permission is hereby granted, free of charge, to any person obtaining
+**  a copy of this software and associated documentation files (the
+**  "Software"), to deal in the Software without restriction, including
+**  without limitation the rights to use, copy, modify, merge, publish,
+**  distribute, sublicense, and/or sell copies of the Software, and to
+**  permit persons to whom the Software is furnished to do so, subject to
+**  the following conditions:
+**
+**  The above copyright notice and this permission notice shall be included
+**  in all copies or substantial portions of the Software.
+**
+**  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+**  EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+**  MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+**  IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+**  CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT,
+**  TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
+**  SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/*  external dependencies  */
+import UUID                     from "pure-uuid"
+import { Observable }           from "apollo-link"
+import { print }                from "graphql/language/printer"
+import { execute }              from "graphql/execution/execute"
+import { isSchema }             from "graphql/type/schema"
+import { formatError }          from "graphql/error/formatError"
+import { valueFromASTUntyped }  from "graphql/utilities/valueFromASTUntyped"
+
+/*  the Local class
+    (the in-process server of the "local" and "mock" communication modes,
+    executing all GraphQL operations against an executable schema or a
+    resolver map and implementing the subscription protocol of GraphQL-IO)  */
+export default class Local {
+    constructor (api, options = {}) {
+        /*  define internal state  */
+        Object.defineProperty(this, "_", {
+            configurable: false,
+            enumerable:   false,
+            writable:     false,
+            value:        {}
+        })
+
+        /*  provide defaults for options  */
+        options = Object.assign({}, {
+            source:    null,
+            rootValue: null,
+            context:   null,
+            notify:    true
+        }, options)
+
+        /*  remember internal state  */
+        this._.api           = api
+        this._.source        = options.source
+        this._.rootValue     = options.rootValue
+        this._.context       = options.context
+        this._.notify        = options.notify
+        this._.onNotify      = null
+        this._.onOpen        = null
+        this._.subscriptions = {}
+        this._.outdated      = {}
+    }
+
+    /*  INTERNAL: attach to the notification handling of the client  */
+    __listen (onNotify, onOpen) {
+        this._.onNotify = onNotify
+        this._.onOpen   = onOpen
+    }
+
+    /*  INTERNAL: determine the subscription id of a query  */
+    __sid (query, variables) {
+        return new UUID(5, this._.api._.nsUUID, `${query}\n${JSON.stringify(variables)}`).format()
+    }
+
+    /*  INTERNAL: resolve the "_Subscription" field of the subscription protocol  */
+    __subscription (field, operation, query) {
+        const result = {}
+        field.selectionSet.selections.forEach((selection) => {
+            const name = selection.name.value
+            const key  = selection.alias ? selection.alias.value : name
+            if (name === "subscribe") {
+                const sid = this.__sid(query, operation.variables)
+                if (this._.subscriptions[sid] === undefined)
+                    this._.subscriptions[sid] = { sid, query, variables: operation.variables, paused: false }
+                result[key] = sid
+            }
+            else if (name.match(/^(?:pause|resume|unsubscribe)$/)) {
+                const args = this.__arguments(selection, operation.variables)
+                const subscription = this._.subscriptions[args.sid]
+                if (subscription !== undefined) {
+                    if (name === "unsubscribe") {
+                        delete this._.subscriptions[args.sid]
+                        delete this._.outdated[args.sid]
+                    }
+                    else
+                        subscription.paused = (name === "pause")
+                    if (name === "resume" && this._.outdated[args.sid]) {
+                        /*  catch up with the mutations performed while being paused  */
+                        delete this._.outdated[args.sid]
+                        this.notify([ args.sid ])
+                    }
+                }
+                result[key] = subscription !== undefined
+            }
+            else if (name === "__typename")
+                result[key] = "_Subscription"
+        })
+        return result
+    }
+
+    /*  INTERNAL: determine the argument values of a field  */
+    __arguments (field, variables) {
+        const args = {}
+        ;(field.arguments || []).forEach((arg) => {
+            args[arg.name.value] = valueFromASTUntyped(arg.value, variables)
+        })
+        return args
+    }
+
+    /*  INTERNAL: determine the (fragment-expanded) field selections of a selection set  */
+    __fields (selectionSet, fragments) {
+        return selectionSet.selections.reduce((fields, selection) => {
+            if (selection.kind === "Field")
+                return fields.concat([ selection ])
+            else if (selection.kind === "InlineFragment")
+                return fields.concat(this.__fields(selection.selectionSet, fragments))
+            else if (selection.kind === "FragmentSpread" && fragments[selection.name.value] !== undefined)
+                return fields.concat(this.__fields(fragments[selection.name.value].selectionSet, fragments))
+            return fields
+        }, [])
+    }
+
+    /*  INTERNAL: resolve the fields of a selection set against a value of a resolver map
+        (where functions are called with the parent value, the arguments and the context)  */
+    async __project (value, fields, typename, env, path, errors) {
+        if (value === null || value === undefined)
+            return null
+        if (value instanceof Array)
+            return Promise.all(value.map((item, i) => this.__project(item, fields, typename, env, path.concat([ i ]), errors)))
+        if (typeof value !== "object")
+            return value
+        const result = {}
+        for (const field of fields) {
+            const name = field.name.value
+            const key  = field.alias ? field.alias.value : name
+            if (name === "__typename") {
+                result[key] = typeof value.__typename === "string" ? value.__typename : typename
+                continue
+            }
+            try {
+                let data = value[name]
+                if (typeof data === "function")
+                    data = await data.call(value, value, this.__arguments(field, env.variables), env.context)
+                if (data !== null && data !== undefined && field.selectionSet)
+                    data = await this.__project(data, this.__fields(field.selectionSet, env.fragments),
+                        "Object", env, path.concat([ key ]), errors)
+                result[key] = data === undefined ? null : data
+            }
+            catch (err) {
+                errors.push({ message: err.message || String(err), path: path.concat([ key ]) })
+                result[key] = null
+            }
+        }
+        return result
+    }
+
+    /*  execute an operation
+        (against the executable schema or the resolver map, while answering
+        the subscription protocol and outdating subscriptions after mutations)  */
+    async execute (operation) {
+        const definition = operation.query.definitions.find((def) => def.kind === "OperationDefinition")
+        const type = definition.operation === "mutation" ? "Mutation" : "Query"
+        const fragments = {}
+        operation.query.definitions
+            .filter((def) => def.kind === "FragmentDefinition")
+            .forEach((def) => { fragments[def.name.value] = def })
+
+        /*  separate the fields of the subscription protocol from the regular fields  */
+        const protocol = definition.selectionSet.selections.filter((selection) =>
+            selection.kind === "Field" && selection.name.value === "_Subscription")
+        const selections = definition.selectionSet.selections.filter((selection) =>
+            protocol.indexOf(selection) < 0)
+
+        /*  resolve the regular fields  */
+        let result = { data: {} }
+        const document = Object.assign({}, operation.query, {
+            definitions: operation.query.definitions.map((def) => {
+                if (def !== definition)
+                    return def
+                return Object.assign({}, def, { selectionSet: Object.assign({}, def.selectionSet, { selections }) })
+            })
+        })
+        const query = print(document)
+        if (selections.length > 0) {
+            let context = this._.context
+            if (typeof context === "function")
+                context = await context({ operationName: operation.operationName, query, variables: operation.variables })
+            else if (context === null)
+                context = { operationName: operation.operationName, variables: operation.variables }
+            if (isSchema(this._.source)) {
+                result = await execute({
+                    schema:         this._.source,
+                    document:       document,
+                    rootValue:      this._.rootValue,
+                    contextValue:   context,
+                    variableValues: operation.variables,
+                    operationName:  operation.operationName
+                })
+                if (result.errors)
+                    result = Object.assign({}, result, { errors: result.errors.map((err) => formatError(err)) })
+            }
+            else {
+                const errors = []
+                const fields = this.__fields({ selections }, fragments)
+                let resolvers = this._.source || {}
+                if (typeof resolvers[type] === "object" && resolvers[type] !== null)
+                    resolvers = resolvers[type]
+                const env = { variables: operation.variables, fragments, context }
+                const data = await this.__project(resolvers, fields, type, env, [], errors)
+                result = { data }
+                if (errors.length > 0)
+                    result.errors = errors
+            }
+        }
+
+        /*  resolve the fields of the subscription protocol  */
+        if (protocol.length > 0 && result.data !== null && result.data !== undefined) {
+            protocol.forEach((field) => {
+                const key = field.alias ? field.alias.value : "_Subscription"
+                result.data[key] = this.__subscription(field, operation, query)
+            })
+        }
+
+        /*  outdate the subscriptions affected by a successful mutation  */
+        if (type === "Mutation" && selections.length > 0 && !result.errors && this._.notify !== false) {
+            const mutation = { operationName: operation.operationName, query, variables: operation.variables }
+            const sids = Object.keys(this._.subscriptions).filter((sid) => {
+                const subscription = this._.subscriptions[sid]
+                if (typeof this._.notify === "function" && !this._.notify(mutation, Object.assign({}, subscription)))
+                    return false
+                if (subscription.paused) {
+                    this._.outdated[sid] = true
+                    return false
+                }
+                return true
+            })
+            this.notify(sids)
+        }
+        return result
+    }
+
+    /*  the Apollo Link request function of the transport  */
+    request (operation) {
+        const api = this._.api
+        return new Observable((observer) => {
+            let cancelled = false
+            this.execute(operation).then((result) => {
+                if (cancelled)
+                    return
+                api.debug(3, `local GraphQL response: ${JSON.stringify(result)}`)
+                observer.next(result)
+                observer.complete()
+            }, (err) => {
+                if (!cancelled)
+                    observer.error(err)
+            })
+            return () => { cancelled = true }
+        })
+    }
+
+    /*  send a notification message about outdated subscriptions
+        (by default for all subscriptions which are not paused)  */
+    notify (sids = null) {
+        if (sids === null)
+            sids = Object.keys(this._.subscriptions).filter((sid) => !this._.subscriptions[sid].paused)
+        if (this._.onNotify !== null && sids.length > 0)
+            this._.onNotify(sids)
+        return this
+    }
+
+    /*  signal a (re-)opened connection
+        (which refetches all subscriptions)  */
+    open () {
+        if (this._.onOpen !== null)
+            this._.onOpen()
+        return this
+    }
+
+    /*  determine the currently known subscriptions  */
+    subscriptions () {
+        return Object.keys(this._.subscriptions).map((sid) => Object.assign({}, this._.subscriptions[sid]))
+    }
+}
+
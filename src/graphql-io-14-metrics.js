@@ -0,0 +1,235 @@
+/*
+**  GraphQL-IO -- GraphQL Network Communication Framework
+**  Copyright (c) 2016-2019 Dr. Ralf S. Engelschall <rse@engelschall.com>
+**
+**  Permission is hereby granted, free of charge, to any person obtaining
+**  a copy of this software and associated documentation files (the
+**  "Software"), to deal in the Software without restriction, including
+**  without limitation the rights to use, copy, modify, merge, publish,
+**  distribute, sublicense, and/or sell copies of the Software, and to
+**  permit persons to whom the Software is furnished to do so, subject to
+**  the following conditions:
+**
+**  The above copyright notice and this permission notice shall be included
+**  in all copies or substantial portions of the Software.
+**
+**  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+**  EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+**  MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+**  IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+**  CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT,
+**  TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
+**  SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/*  external dependencies  */
+import UUID from "pure-uuid"
+
+/*  determine the (approximate) size of a value in bytes, once encoded as JSON  */
+const sizeOf = (value) => {
+    try {
+        const json = JSON.stringify(value)
+        if (json === undefined)
+            return 0
+        return encodeURIComponent(json).replace(/%[0-9A-F]{2}/g, "x").length
+    }
+    catch (ex) {
+        /*  not serializable as JSON (e.g. files in variables)  */
+        return 0
+    }
+}
+
+/*  generate a random identifier of a number of hex digits  */
+const randomId = (digits) => {
+    let id = ""
+    while (id.length < digits)
+        id += new UUID(4).format().replace(/-/g, "")
+    return id.substr(0, digits)
+}
+
+/*  the Metrics class
+    (the recorder of structured metrics and tracing spans,
+    which are emitted as events and passed to an optional sink)  */
+export default class Metrics {
+    constructor (api) {
+        /*  define internal state  */
+        Object.defineProperty(this, "_", {
+            configurable: false,
+            enumerable:   false,
+            writable:     false,
+            value:        {}
+        })
+
+        /*  remember internal state  */
+        this._.api      = api
+        this._.enabled  = api.$.metrics !== false
+        this._.tracing  = api.$.tracing
+        this._.sink     = typeof api.$.metrics === "object" ? api.$.metrics : null
+        this._.notified = {}
+        this._.opened   = false
+        this._.spans    = new WeakMap()
+        this._.timers   = new WeakMap()
+
+        /*  instrument all GraphQL operations and non-GraphQL HTTP requests
+            (as the outermost middleware, in order to cover all other middlewares)  */
+        if (this._.enabled || this._.tracing) {
+            api._.middleware.use({
+                name:     "metrics",
+                order:    -Infinity,
+                request:  (ctx) => { this.__request(ctx) },
+                response: (ctx) => { this.__response(ctx) },
+                error:    (ctx) => { this.__error(ctx) }
+            })
+        }
+    }
+
+    /*  INTERNAL: determine the labels of a middleware context  */
+    __labels (ctx) {
+        if (ctx.kind === "graphql")
+            return { endpoint: ctx.endpoint, type: ctx.request.type, operation: ctx.name }
+        return { endpoint: ctx.endpoint, request: ctx.name }
+    }
+
+    /*  INTERNAL: start the instrumentation of a request  */
+    __request (ctx) {
+        const api = this._.api
+        this._.timers.set(ctx, Date.now())
+        if (this._.enabled && ctx.kind === "graphql") {
+            this.histogram("graphql.request.size", sizeOf({
+                query: ctx.request.query, variables: ctx.request.variables
+            }), "bytes", this.__labels(ctx))
+        }
+        if (this._.tracing) {
+            /*  start a span and propagate its trace context (W3C Trace Context)
+                with the HTTP requests or, for GraphQL operations, in the "traceContext"
+                request extension (in order to not exclude them from request batching
+                and to cover the WebSocket transport, too), where the application can adjust
+                both the span (e.g. its parent) and the headers via the "trace-headers" hook  */
+            const span = {
+                traceId:      randomId(32),
+                spanId:       randomId(16),
+                parentSpanId: null,
+                name:         ctx.kind === "graphql" ? `graphql ${ctx.request.type} ${ctx.name}` : `http ${ctx.name}`,
+                kind:         "client",
+                start:        Date.now(),
+                end:          null,
+                duration:     null,
+                status:       null,
+                attributes:   this.__labels(ctx)
+            }
+            let headers = { traceparent: `00-${span.traceId}-${span.spanId}-01` }
+            headers = api.hook("trace-headers", "pass", headers, span)
+            if (ctx.kind === "graphql")
+                ctx.request.extensions.traceContext = headers
+            else
+                Object.assign(ctx.request.headers, headers)
+            this._.spans.set(ctx, span)
+        }
+    }
+
+    /*  INTERNAL: finish the instrumentation of a request  */
+    __finish (ctx, status, attributes = {}) {
+        const labels = Object.assign(this.__labels(ctx), { status })
+        const start = this._.timers.get(ctx)
+        if (this._.enabled && start !== undefined)
+            this.histogram(`${ctx.kind}.request.duration`, Date.now() - start, "ms", labels)
+        const span = this._.spans.get(ctx)
+        if (span !== undefined) {
+            span.end        = Date.now()
+            span.duration   = span.end - span.start
+            span.status     = status
+            span.attributes = Object.assign({}, span.attributes, attributes)
+            this._.spans.delete(ctx)
+            this._.api.emit("span", span)
+            if (this._.sink !== null && typeof this._.sink.span === "function")
+                this._.sink.span(span)
+        }
+        this._.timers.delete(ctx)
+    }
+
+    /*  INTERNAL: finish the instrumentation of a successful request  */
+    __response (ctx) {
+        if (ctx.kind !== "graphql") {
+            this.__finish(ctx, "ok", { "http.status": ctx.response.status })
+            return
+        }
+        const errors = ctx.response !== null && ctx.response.errors instanceof Array ? ctx.response.errors.length : 0
+        if (this._.enabled) {
+            this.histogram("graphql.response.size", sizeOf(ctx.response), "bytes", this.__labels(ctx))
+            if (errors > 0)
+                this.counter("graphql.errors", Object.assign(this.__labels(ctx), { kind: "graphql" }), errors)
+        }
+        this.__finish(ctx, errors > 0 ? "error" : "ok", { "graphql.errors": errors })
+    }
+
+    /*  INTERNAL: finish the instrumentation of a failed request  */
+    __error (ctx) {
+        const error = ctx.error
+        if (this._.enabled) {
+            if (ctx.kind === "graphql")
+                this.counter("graphql.errors", Object.assign(this.__labels(ctx), { kind: "network" }))
+            else
+                this.counter("http.errors", this.__labels(ctx))
+        }
+        this.__finish(ctx, "error", { "error.message": error instanceof Error ? error.message : String(error) })
+    }
+
+    /*  INTERNAL: record a metric  */
+    __record (type, name, value, unit, labels) {
+        const api = this._.api
+        const metric = {
+            type,
+            name,
+            value,
+            unit,
+            labels: Object.assign({ endpoint: api._.name }, labels),
+            date:   Date.now()
+        }
+        api.emit("metric", metric)
+        if (this._.sink !== null && typeof this._.sink.record === "function")
+            this._.sink.record(metric)
+    }
+
+    /*  record a counter increment  */
+    counter (name, labels = {}, value = 1) {
+        if (this._.enabled)
+            this.__record("counter", name, value, "1", labels)
+    }
+
+    /*  record a histogram observation  */
+    histogram (name, value, unit, labels = {}) {
+        if (this._.enabled)
+            this.__record("histogram", name, value, unit, labels)
+    }
+
+    /*  track the receiving of a notification about an outdated subscription  */
+    notified (sid) {
+        if (this._.enabled && this._.notified[sid] === undefined)
+            this._.notified[sid] = Date.now()
+    }
+
+    /*  track the refetching of a subscription
+        (and the latency since the notification which caused it)  */
+    refetched (sid) {
+        if (!this._.enabled)
+            return
+        this.counter("subscription.refetches", { sid })
+        if (this._.notified[sid] !== undefined) {
+            this.histogram("subscription.notify.latency", Date.now() - this._.notified[sid], "ms", { sid })
+            delete this._.notified[sid]
+        }
+    }
+
+    /*  track the (re-)opening of a connection  */
+    opened (transport) {
+        if (this._.opened)
+            this.counter("connection.reconnects", { transport })
+        this._.opened = true
+    }
+
+    /*  track the dropping of a connection  */
+    dropped (transport) {
+        this.counter("connection.drops", { transport })
+    }
+}
+
@@ -0,0 +1,47 @@
+/*
+**  GraphQL-IO -- GraphQL Network Communication Framework
+**  Copyright (c) 2016-2019 Dr. Ralf S. Engelschall <rse@engelschall.com>
+**
+**  Permission is hereby granted, free of charge, to any person obtaining
+**  a copy of this software and associated documentation files (the
+**  "Software"), to deal in the Software without restriction, including
+**  without limitation the rights to use, copy, modify, merge, publish,
+**  distribute, sublicense, and/or sell copies of the Software, and to
+**  permit persons to whom the Software is furnished to do so, subject to
+**  the following conditions:
+**
+**  The above copyright notice and this permission notice shall be included
+**  in all copies or substantial portions of the Software.
+**
+**  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+**  EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+**  MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+**  IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+**  CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT,
+**  TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
+**  SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+
+/*  external dependencies
+    (imported individually to not pull the whole GraphQL library into the client)  */
+import { buildSchema }       from "graphql/utilities/buildASTSchema"
+import { buildClientSchema } from "graphql/utilities/buildClientSchema"
+import { isSchema }          from "graphql/type/schema"
+
+/*  determine the GraphQL schema from either a SDL string, a JSON introspection
+    string, an introspection result object or an already existing schema  */
+export default function loadSchema (schema) {
+    if (isSchema(schema))
+        return schema
+    if (typeof schema === "string") {
+        if (!schema.match(/^\s*\{/))
+            return buildSchema(schema)
+        schema = JSON.parse(schema)
+    }
+    if (typeof schema === "object" && schema !== null && typeof schema.data === "object")
+        schema = schema.data
+    if (typeof schema !== "object" || schema === null || typeof schema.__schema !== "object")
+        throw new Error("invalid schema (expected SDL, introspection result or GraphQLSchema)")
+    return buildClientSchema(schema)
+}
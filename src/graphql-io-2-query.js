@@ -23,12 +23,19 @@
 */
 
 /*  external dependencies  */
-import clone        from "clone"
-import gql          from "graphql-tag"
-import Ducky        from "ducky"
+import clone                 from "clone"
+import gql                   from "graphql-tag"
+import Ducky                 from "ducky"
+import { Observable }        from "apollo-link"
+import { parse }             from "graphql/language/parser"
+import { validate }          from "graphql/validation"
+import { getVariableValues } from "graphql/execution/values"
 
 /*  internal dependencies  */
-import Subscription from "./graphql-io-3-subscription"
+import Subscription          from "./graphql-io-3-subscription"
+import Outbox                from "./graphql-io-5-outbox"
+import Uploader              from "./graphql-io-10-upload"
+import { GraphQLIOError, ValidationError } from "./graphql-io-8-error"
 
 /*  the Query class  */
 export default class Query {
@@ -56,13 +63,14 @@ export default class Query {
         })
 
         /*  remember results  */
-        this._.api   = api
-        this._.error = error
-        this._.type  = type
-        this._.query = query
-        this._.ast   = null
-        this._.vars  = vars
-        this._.opts  = opts
+        this._.api      = api
+        this._.error    = error
+        this._.type     = type
+        this._.query    = query
+        this._.ast      = null
+        this._.vars     = vars
+        this._.opts     = opts
+        this._.validate = true
 
         /*  determine and sanity check GraphQL operation type  */
         const m = this._.query.match(/^\s*(query|mutation|subscription)\b/)
@@ -85,17 +93,61 @@ export default class Query {
             this._.type  = "query"
             this._.query = `query ${this._.query}`
         }
+
+        /*  sanity check cache related options  */
+        if (this._.type === "mutation") {
+            if (this._.opts.fetchPolicy !== null && !this._.opts.fetchPolicy.match(/^(?:network-only|no-cache)$/))
+                throw new Error(`invalid fetchPolicy "${this._.opts.fetchPolicy}" for GraphQL "mutation" operation ` +
+                    "(has to be either \"network-only\" or \"no-cache\")")
+        }
+        else {
+            if (this._.opts.optimisticResponse !== null || this._.opts.update !== null)
+                throw new Error("options \"optimisticResponse\" and \"update\" are supported " +
+                    "for GraphQL \"mutation\" operations only")
+        }
     }
 
-    /*  compile GraphQL query AST  */
+    /*  determine the originating GraphQL operation (for errors)  */
+    __operation () {
+        return { type: this._.type, query: this._.query, variables: this._.vars }
+    }
+
+    /*  compile GraphQL query AST
+        (and optionally validate it and its variables against the GraphQL schema)  */
     __compileAST () {
         /*  convert GraphQL query from string to AST  */
         try {
             this._.ast = gql`${this._.query}`
         }
         catch (err) {
-            return err
+            return [ GraphQLIOError.from(err, this.__operation()) ]
+        }
+
+        /*  optionally validate query against GraphQL schema
+            (cached per query AST, as graphql-tag caches the ASTs itself, but
+            validated on a freshly parsed AST, as graphql-tag strips the locations)  */
+        const schema = this._.api._.schema
+        if (schema === null || !this._.validate)
+            return null
+        const toError = (err) => new ValidationError(err.message, {
+            locations:     err.locations,
+            operation:     this.__operation(),
+            originalError: err
+        })
+        let validated = this._.api._.schemaChecks.get(this._.ast)
+        if (validated === undefined) {
+            const document = parse(this._.query)
+            validated = { document, errors: validate(schema, document).map(toError) }
+            this._.api._.schemaChecks.set(this._.ast, validated)
         }
+        if (validated.errors.length > 0)
+            return validated.errors
+
+        /*  validate variables against GraphQL schema  */
+        const operation = validated.document.definitions.find((def) => def.kind === "OperationDefinition")
+        const result = getVariableValues(schema, operation.variableDefinitions || [], this._.vars)
+        if (result.errors && result.errors.length > 0)
+            return result.errors.map(toError)
         return null
     }
 
@@ -104,17 +156,62 @@ export default class Query {
         /*  determine type of operation  */
         const kind = this._.type === "mutation" ? "mutation" : "query"
 
+        /*  determine fetch policy
+            (by default, queries always hit the network and mutation results are not cached,
+            except they are intended to update the cache)  */
+        let fetchPolicy = this._.opts.fetchPolicy
+        if (fetchPolicy === null) {
+            if (this._.type === "mutation")
+                fetchPolicy = (this._.opts.optimisticResponse !== null || this._.opts.update !== null) ?
+                    "network-only" : "no-cache"
+            else
+                fetchPolicy = "network-only"
+        }
+
         /*  assemble arguments  */
-        return Object.assign({}, {
+        const args = {
             [ kind ]:    this._.ast,
             variables:   this._.vars,
-            fetchPolicy: this._.type === "mutation" ? "no-cache" : "network-only",
+            fetchPolicy: fetchPolicy,
             errorPolicy: "all"
-        }, opts)
+        }
+        if (this._.type === "mutation") {
+            /*  Apollo Client mutations write to the cache by default only  */
+            if (args.fetchPolicy === "network-only")
+                delete args.fetchPolicy
+            if (this._.opts.optimisticResponse !== null)
+                args.optimisticResponse = this._.opts.optimisticResponse
+            if (this._.opts.update !== null)
+                args.update = this._.opts.update
+        }
+
+        /*  optionally exclude operation from request batching  */
+        args.context = {}
+        if (!this._.opts.batch)
+            args.context.batch = false
+
+        /*  optionally bound operation by a timeout and/or an AbortSignal  */
+        if (this._.opts.timeout > 0 || this._.opts.signal !== null)
+            args.context.cancel = { timeout: this._.opts.timeout, signal: this._.opts.signal }
+
+        /*  optionally override (or disable) the client-level retry policy  */
+        if (this._.opts.retry !== null && this._.opts.retry !== true)
+            args.context.retry = this._.opts.retry
+
+        /*  route operations of secondary endpoints  */
+        if (this._.api._.parent !== null)
+            args.context.endpoint = this._.api._.name
+
+        /*  optionally pass per-operation context to the middlewares  */
+        if (this._.opts.context !== null)
+            args.context.middleware = this._.opts.context
+        return Object.assign(args, opts)
     }
 
-    /*  process Apollo Client result object  */
-    __processResults (result, onResult, info = "") {
+    /*  process Apollo Client result object
+        (optionally without raising the errors on the client,
+        e.g. for results shared among multiple subscriptions)  */
+    __processResults (result, onResult, info = "", onError = null, raise = true) {
         /*  determine whether there is any data and/or errors  */
         let anyData   = !!(result.data)
         let anyErrors = !!(result.errors)
@@ -128,17 +225,27 @@ export default class Query {
                     anyErrors = true
                 }
                 errors.forEach((error) => {
-                    result.errors.push({ message: error })
+                    result.errors.push(new ValidationError(error, {
+                        code:      "DATA_VALIDATION_FAILED",
+                        operation: this.__operation()
+                    }))
                 })
             }
         }
 
-        /*  optionally emit errors  */
+        /*  optionally emit errors (as structured GraphQL-IO errors)  */
         if (   typeof result.errors === "object"
             && result.errors instanceof Array
             && result.errors.length > 0         ) {
+            result.errors = result.errors.reduce((errors, error) =>
+                errors.concat(GraphQLIOError.all(error, this.__operation())), [])
             this._.api.debug(1, `GraphQL response (error): ${JSON.stringify(result)}${info}`)
-            this._.error(result.errors[0])
+            result.errors.forEach((error) => {
+                if (raise)
+                    this._.error(error)
+                if (onError !== null)
+                    onError(error)
+            })
         }
         else
             this._.api.debug(1, `GraphQL response (success): ${JSON.stringify(result)}${info}`)
@@ -184,62 +291,162 @@ export default class Query {
             throw new Error("you have to supply a result function")
 
         /*  compile GraphQL query  */
-        const err = this.__compileAST()
-        if (err !== null) {
-            this._.error(err)
+        const errors = this.__compileAST()
+        if (errors !== null) {
+            errors.forEach((error) => { this._.error(error) })
             return new Promise((resolve /* , reject */) => {
-                resolve(onResult({ data: null, errors: [ err ] }))
+                resolve(onResult({ data: null, errors }))
             })
         }
 
-        /*  create a request with the underlying Apollo Client query/mutate method  */
+        /*  optionally queue mutation for later replay while being offline
+            (except for mutations with files, as they cannot be persisted)  */
+        const outbox = this._.api._.outbox
+        const queueable = (this._.type === "mutation" && outbox !== null && this._.opts.offline
+            && !Uploader.has(this._.vars))
+        if (queueable && outbox.active())
+            return outbox.enqueue(this, onResult)
+
+        /*  create a request and post-process the result  */
+        return this.__request(onResult).then((result) => {
+            return this.__processResults(clone(result, false), onResult)
+        }, (error) => {
+            /*  optionally queue mutation for later replay if the network is unreachable  */
+            if (queueable && Outbox.isNetworkError(error)) {
+                this._.api._online(false)
+                return outbox.enqueue(this, onResult)
+            }
+            if (!(error instanceof Error))
+                error = new Error(error)
+            return this.__processResults({ data: null, errors: [ error ] }, onResult)
+        })
+    }
+
+    /*  INTERNAL: describe the variables for debugging purposes
+        (without the contents of files, which can be large or even unserializable)  */
+    __describeVars () {
+        return JSON.stringify(Uploader.extract(this._.vars).variables)
+    }
+
+    /*  create a request with the underlying Apollo Client query/mutate method  */
+    __request (onResult = null) {
         const method = (this._.type === "query" ? "query" : "mutate")
         this._.api.debug(1, `GraphQL request (${method}): ` +
             `query: ${JSON.stringify(this._.query)}, ` +
-            `variables: ${JSON.stringify(this._.vars)}`)
+            `variables: ${this.__describeVars()}`)
         const args = this.__assembleArgs()
-        let promise = this._.api._.graphqlClient[method](args)
+        if (args.fetchPolicy !== "cache-and-network")
+            return this._.api._.graphqlClient[method](args)
 
-        /*  post-process the result  */
-        promise = promise.then((result) => {
-            return clone(result, false)
-        }, (error) => {
-            if (!(error instanceof Error))
-                error = new Error(error)
-            return { data: null, errors: [ error ] }
-        }).then((result) => {
-            return this.__processResults(result, onResult)
+        /*  watch query in order to pass-through the cached result
+            (before the result from the network is finally provided)  */
+        return new Promise((resolve, reject) => {
+            let sub = null
+            let done = false
+            const finish = () => {
+                done = true
+                if (sub !== null)
+                    sub.unsubscribe()
+            }
+            sub = this._.api._.graphqlClient.watchQuery(args).subscribe({
+                next: (result) => {
+                    if (done)
+                        return
+                    if (!result.loading) {
+                        finish()
+                        resolve(result)
+                    }
+                    else if (onResult !== null
+                        && typeof result.data === "object"
+                        && result.data !== null
+                        && Object.keys(result.data).length > 0)
+                        void this.__processResults(clone(result, false), onResult, " <cached>")
+                },
+                error: (error) => {
+                    finish()
+                    reject(error)
+                }
+            })
+            if (done)
+                sub.unsubscribe()
         })
-        return promise
     }
 
     /*  configure MULTI-TIME callback  */
-    subscribe (onResult) {
+    subscribe (onResult = null) {
         /*  sanity check usage  */
-        if (typeof onResult !== "function")
-            throw new Error("you have to supply a result function")
+        if (onResult !== null && typeof onResult !== "function")
+            throw new Error("you have to supply a result function (or none at all)")
         if (this._.type !== "query")
             throw new Error("you can call \"subscribe\" on GraphQL query operations only")
 
-        /*  late inject "subscribe" operation into query  */
-        this._.query = this._.query.replace(/^(\s*query.*?\{)/,
-            "$1 _Subscription { subscribe } ")
-
-        /*  compile GraphQL query  */
-        const err = this.__compileAST()
-        if (err !== null) {
-            this._.error(err)
-            onResult({ data: null, errors: [ err ] })
+        /*  compile and validate the original GraphQL query, then late inject
+            "subscribe" operation into query and just re-compile it (as the
+            injected field is part of the GraphQL-IO protocol, not the schema)  */
+        let errors = this.__compileAST()
+        if (errors === null) {
+            this._.query = this._.query.replace(/^(\s*query.*?\{)/,
+                "$1 _Subscription { subscribe } ")
+            this._.validate = false
+            errors = this.__compileAST()
+        }
+        if (errors !== null) {
+            errors.forEach((error) => { this._.error(error) })
+            if (onResult === null)
+                throw errors[0]
+            onResult({ data: null, errors })
             return
         }
 
         /*  create a Subscription around the Apollo Client query method  */
         this._.api.debug(1, "GraphQL request (query): " +
             `query: ${JSON.stringify(this._.query)}, ` +
-            `variables: ${JSON.stringify(this._.vars)}`)
+            `variables: ${this.__describeVars()}`)
         const subscription = new Subscription(this, onResult)
-        subscription.refetch(true)
+        subscription.__start()
         return subscription
     }
-}
 
+    /*  configure MULTI-TIME observation of the local cache  */
+    watch () {
+        /*  sanity check usage  */
+        if (this._.type !== "query")
+            throw new Error("you can call \"watch\" on GraphQL query operations only")
+
+        /*  compile GraphQL query  */
+        const errors = this.__compileAST()
+        if (errors !== null) {
+            errors.forEach((error) => { this._.error(error) })
+            throw errors[0]
+        }
+
+        /*  create an Observable around the Apollo Client watchQuery method
+            (which re-emits on all changes of the relevant cache entities)  */
+        this._.api.debug(1, "GraphQL watch (cache): " +
+            `query: ${JSON.stringify(this._.query)}, ` +
+            `variables: ${this.__describeVars()}`)
+        const args = this.__assembleArgs({ fetchPolicy: "cache-only" })
+        const observable = this._.api._.graphqlClient.watchQuery(args)
+        return new Observable((observer) => {
+            const sub = observable.subscribe({
+                next: (result) => {
+                    /*  skip results of queries not (yet) resolvable from the cache  */
+                    if (   typeof result.data !== "object"
+                        || result.data === null
+                        || Object.keys(result.data).length === 0)
+                        return
+                    void this.__processResults(clone(result, false), (result) => {
+                        observer.next(result)
+                        return result
+                    }, " <cache>")
+                },
+                error: (error) => {
+                    observer.error(error)
+                }
+            })
+            return () => {
+                sub.unsubscribe()
+            }
+        })
+    }
+}
@@ -23,12 +23,53 @@
 */
 
 /*  external dependencies  */
-import UUID  from "pure-uuid"
-import clone from "clone"
+import UUID           from "pure-uuid"
+import clone          from "clone"
+import EventEmitter   from "eventemitter3"
+import { Observable } from "apollo-link"
 
-/*  the Subscription class  */
+/*  determine the differences between two JSON values as JSON Patch (RFC 6902) operations  */
+const diff = (a, b, path = "", patch = []) => {
+    const isObject = (value) => typeof value === "object" && value !== null
+    if (a === b)
+        return patch
+    if (isObject(a) && isObject(b) && (a instanceof Array) === (b instanceof Array)) {
+        if (a instanceof Array) {
+            /*  compare arrays element-wise and add/remove elements at the end  */
+            const n = Math.min(a.length, b.length)
+            for (let i = 0; i < n; i++)
+                diff(a[i], b[i], `${path}/${i}`, patch)
+            for (let i = n; i < b.length; i++)
+                patch.push({ op: "add", path: `${path}/${i}`, value: b[i] })
+            for (let i = a.length - 1; i >= n; i--)
+                patch.push({ op: "remove", path: `${path}/${i}` })
+        }
+        else {
+            /*  compare objects field-wise  */
+            const pointer = (key) => `${path}/${key.replace(/~/g, "~0").replace(/\//g, "~1")}`
+            Object.keys(a).forEach((key) => {
+                if (!Object.prototype.hasOwnProperty.call(b, key))
+                    patch.push({ op: "remove", path: pointer(key) })
+                else
+                    diff(a[key], b[key], pointer(key), patch)
+            })
+            Object.keys(b).forEach((key) => {
+                if (!Object.prototype.hasOwnProperty.call(a, key))
+                    patch.push({ op: "add", path: pointer(key), value: b[key] })
+            })
+        }
+    }
+    else
+        patch.push({ op: "replace", path, value: b })
+    return patch
+}
+
+/*  the Subscription class
+    (emitting the events "data", "error", "state" and "resubscribed", where all
+    local subscriptions of the same query and variables share a single server
+    subscription and a single refetch, with the first one being the "leader")  */
 export default class Subscription {
-    constructor (query, onResult) {
+    constructor (query, onResult = null) {
         /*  define internal state  */
         Object.defineProperty(this, "_", {
             configurable: false,
@@ -39,12 +80,143 @@ export default class Subscription {
 
         /*  remember internal state  */
         this._.query       = query
-        this._.onResult    = onResult
         this._.state       = "subscribed"
         this._.iid         = (new UUID(1)).format()
-        this._.sid         = ""
         this._.next        = Promise.resolve()
         this._.refetching  = false
+        this._.previous    = null
+        this._.emitter     = new EventEmitter()
+
+        /*  pass-through all results and their errors as events  */
+        this._.onResult = (result) => {
+            this._.emitter.emit("data", result)
+            return onResult !== null ? onResult(result) : result
+        }
+        this._.onError = (error) => {
+            this._.emitter.emit("error", error)
+        }
+
+        /*  join (or create) the group of all local subscriptions of the same query
+            (which is identified by the query text, the variables and the fetch policy)  */
+        const groups = query._.api._.groups
+        const key = `${query._.query}\n${JSON.stringify(query._.vars)}\n${query._.opts.fetchPolicy}`
+        if (groups[key] === undefined) {
+            groups[key] = {
+                key,
+                leader:      this,
+                members:     {},
+                sid:         "",
+                last:        null,
+                paused:      false,
+                established: false
+            }
+        }
+        this._.group = groups[key]
+        this._.group.members[this._.iid] = this
+
+        /*  automatically unsubscribe once the query is aborted  */
+        const signal = query._.opts.signal
+        if (signal !== null) {
+            signal.addEventListener("abort", () => {
+                if (this._.state !== "unsubscribed")
+                    this.unsubscribe().catch(() => {})
+            })
+        }
+    }
+
+    /*  INTERNAL: perform a subscription management operation
+        (bounded by the timeout of the query, to not block the promise chain forever,
+        and rejecting on errors, as the query itself always resolves with its errors)  */
+    __manage (operation) {
+        const query = this._.query._.api.graphql(`mutation ($sid: UUID!) {
+            _Subscription { ${operation}(sid: $sid) }
+        }`, { sid: this._.group.sid }, { timeout: this._.query._.opts.timeout, errorsPass: true })
+        query._.validate = false
+        return query.then((result) => {
+            if (typeof result.errors === "object" && result.errors instanceof Array && result.errors.length > 0)
+                throw result.errors[0]
+            return result
+        })
+    }
+
+    /*  INTERNAL: change status  */
+    __state (state) {
+        const previous = this._.state
+        this._.state = state
+        if (state !== previous)
+            this._.emitter.emit("state", state, previous)
+    }
+
+    /*  INTERNAL: describe subscription for debugging purposes  */
+    __describe () {
+        return `sid: ${this._.group.sid !== "" ? this._.group.sid : "<none>"}, iid: ${this._.iid}`
+    }
+
+    /*  INTERNAL: determine the members of the group  */
+    __members () {
+        return Object.keys(this._.group.members).map((iid) => this._.group.members[iid])
+    }
+
+    /*  INTERNAL: start the subscription
+        (the leader fetches the initial result, all other members
+        resume the server subscription if the group was entirely paused
+        and reuse the last result of the leader, if already available)  */
+    __start () {
+        const group = this._.group
+        if (group.leader === this)
+            return this.refetch(true)
+        this._.query._.api.debug(2, "sharing subscription with identical subscribed query " +
+            `(${this.__describe()}, members: ${this.__members().length})`)
+        return (this._.next = this._.next.then(() => {
+            if (!group.paused)
+                return true
+            return this.__manage("resume").then(() => {
+                group.paused = false
+                return true
+            }, (err) => {
+                /*  stay paused together with the group on failures  */
+                this.__state("paused")
+                this._.onError(err)
+                return false
+            })
+        }).then((resumed) => {
+            if (resumed && group.last !== null)
+                this.__deliver(clone(group.last, false), false)
+            return resumed
+        }))
+    }
+
+    /*  INTERNAL: deliver a result to a member
+        (in delta mode with the changes against the previous result,
+        and skipping results with unchanged data entirely, where the errors
+        of results shared within the group are raised on the client only once)  */
+    __deliver (result, raise = true) {
+        if (this._.state !== "subscribed")
+            return false
+        if (   this._.query._.opts.delta
+            && typeof result.data === "object"
+            && result.data !== null) {
+            let patch = [ { op: "replace", path: "", value: result.data } ]
+            if (this._.previous !== null)
+                patch = diff(this._.previous, result.data)
+            if (patch.length === 0 && !result.errors) {
+                this._.query._.api.debug(3, `skipping unchanged result of subscribed query (${this.__describe()})`)
+                return false
+            }
+            this._.previous = clone(result.data, false)
+            result.patch = patch
+        }
+        void this._.query.__processResults(result, this._.onResult,
+            ` <sid: ${this._.group.sid !== "" ? this._.group.sid : "none"}>`, this._.onError, raise)
+        return true
+    }
+
+    /*  listen to an event  */
+    on (name, handler) {
+        this._.emitter.on(name, handler)
+        return () => {
+            this._.emitter.removeListener(name, handler)
+        }
     }
 
     /*  check status  */
@@ -58,13 +230,24 @@ export default class Subscription {
         return this
     }
 
-    /*  force refetching of subscription  */
+    /*  force refetching of subscription
+        (always performed by the leader on behalf of all members of the group,
+        and resolving to whether the result was refetched at all)  */
     refetch (force = false) {
+        const group = this._.group
+        if (group.members[this._.iid] === undefined) {
+            return (this._.next = this._.next.then(() => {
+                throw new Error(`query not active (currently in "${this._.state}" state)`)
+            }))
+        }
+        if (group.leader !== this)
+            return group.leader.refetch(force)
+
         /*  skip the refetch if it is already queued in the next promise chain  */
         if (!force && this._.refetching) {
             this._.query._.api.debug(3, "refetching of subscribed query aborted: already in progress" +
-                ` (sid: ${this._.sid !== "" ? this._.sid : "<none>"}, iid: ${this._.iid})`)
-            return this._.next
+                ` (${this.__describe()})`)
+            return this._.next.then((refetched) => refetched === true)
         }
 
         /*  remember the refetching state to avoid multiple refetches  */
@@ -72,21 +255,34 @@ export default class Subscription {
 
         /*  append operation to promise chain  */
         return (this._.next = this._.next.then(() => {
+            /*  stop processing our perhaps still queued refetch operation,
+                if we have left the group or handed over its leadership  */
+            if (group.leader !== this) {
+                this._.refetching = false
+                return false
+            }
+
             /*  stop processing our perhaps still queued refetch operation, if...
                 - we are not forced to refetch (on disconnect/connect cycles) and
-                - the state is (again) not "subscribed" (after an unsubscribe) and
+                - no member of the group is (again) in state "subscribed" (after unsubscribes) and
                 - this subscription is no longer stored  */
+            const subscriptions = this._.query._.api._.subscriptions
+            const active = this.__members().some((member) => member._.state === "subscribed")
             if (   !force
-                && this._.state !== "subscribed"
-                && (   !this._.query._.api._.subscriptions[this._.sid]
-                    || !this._.query._.api._.subscriptions[this._.sid][this._.iid])) {
+                && !active
+                && (   !subscriptions[group.sid]
+                    || !subscriptions[group.sid][this._.iid])) {
                 this._.query._.api.debug(3, `refetching of subscribed query aborted: already in state ${this._.state}` +
-                    ` (sid: ${this._.sid !== "" ? this._.sid : "<none>"}, iid: ${this._.iid})`)
-                return
+                    ` (${this.__describe()})`)
+                return false
             }
-            if (this._.state !== "subscribed")
+            if (!active)
                 throw new Error(`query not active (currently in "${this._.state}" state)`)
+            /*  always refetch from the network (except the cache should be bypassed at all),
+                as a notification indicates that the cached result is outdated  */
             const args = this._.query.__assembleArgs()
+            if (args.fetchPolicy !== "no-cache")
+                args.fetchPolicy = "network-only"
             const promise = this._.query._.api._.graphqlClient.query(args)
             return promise.then((result) => {
                 /*  clone data structure  */
@@ -100,11 +296,27 @@ export default class Subscription {
                     && typeof result.data._Subscription === "object"
                     && result.data._Subscription !== null
                     && typeof result.data._Subscription.subscribe === "string") {
-                    this._.sid = result.data._Subscription.subscribe
-                    if (this._.query._.api._.subscriptions[this._.sid] === undefined)
-                        this._.query._.api._.subscriptions[this._.sid] = {}
-                    this._.query._.api._.subscriptions[this._.sid][this._.iid] = this
+                    const previous = group.sid
+                    group.sid = result.data._Subscription.subscribe
+                    const leader = group.leader
+                    if (previous !== "" && previous !== group.sid && subscriptions[previous] !== undefined) {
+                        delete subscriptions[previous][leader._.iid]
+                        if (Object.keys(subscriptions[previous]).length === 0)
+                            delete subscriptions[previous]
+                    }
+                    if (subscriptions[group.sid] === undefined)
+                        subscriptions[group.sid] = {}
+                    subscriptions[group.sid][leader._.iid] = leader
                     delete result.data._Subscription
+
+                    /*  notify about re-established subscriptions (after
+                        re-connects) and changed subscription ids  */
+                    if (group.established && (force || previous !== group.sid)) {
+                        this.__members().forEach((member) => {
+                            member._.emitter.emit("resubscribed", group.sid, previous)
+                        })
+                    }
+                    group.established = true
                 }
                 return result
             }, (error) => {
@@ -112,8 +324,18 @@ export default class Subscription {
                     error = new Error(error)
                 return { data: null, errors: [ error ] }
             }).then((result) => {
-                void this._.query.__processResults(result, this._.onResult,
-                    ` <sid: ${this._.sid !== "" ? this._.sid : "none"}>`)
+                /*  track the refetching for the metrics  */
+                if (group.sid !== "")
+                    this._.query._.api._.metrics.refetched(group.sid)
+
+                /*  deliver the result to all members of the group  */
+                if (result.data !== null && result.data !== undefined)
+                    group.last = clone(result, false)
+                let raise = true
+                this.__members().forEach((member) => {
+                    if (member.__deliver(member === this ? result : clone(result, false), raise))
+                        raise = false
+                })
                 return true
             }).finally(() => {
                 /*  forget the refetching state to enable refetches again  */
@@ -122,49 +344,183 @@ export default class Subscription {
         }))
     }
 
-    /*  pause subscription  */
+    /*  pause subscription
+        (at the server only once all members of the group are paused)  */
     pause () {
         return (this._.next = this._.next.then(() => {
             if (this._.state !== "subscribed")
                 throw new Error(`query not active (currently in "${this._.state}" state)`)
-            return this._.query._.api.graphql(`mutation ($sid: UUID!) {
-                _Subscription { pause(sid: $sid) }
-            }`, { sid: this._.sid }).then(() => {
-                this._.state = "paused"
+            const group = this._.group
+            if (this.__members().some((member) => member !== this && member._.state === "subscribed")) {
+                this.__state("paused")
+                return true
+            }
+            return this.__manage("pause").then(() => {
+                group.paused = true
+                this.__state("paused")
                 return true
             })
         }))
     }
 
-    /*  resume subscription  */
+    /*  resume subscription
+        (at the server only if all members of the group were paused)  */
     resume () {
         return (this._.next = this._.next.then(() => {
             if (this._.state !== "paused")
                 throw new Error(`query not paused (currently in "${this._.state}" state)`)
-            return this._.query._.api.graphql(`mutation ($sid: UUID!) {
-                _Subscription { resume(sid: $sid) }
-            }`, { sid: this._.sid }).then(() => {
-                this._.state = "subscribed"
+            const group = this._.group
+            if (!group.paused) {
+                this.__state("subscribed")
+                return true
+            }
+            return this.__manage("resume").then(() => {
+                group.paused = false
+                this.__state("subscribed")
                 return true
             })
         }))
     }
 
-    /*  undo subscription  */
+    /*  undo subscription
+        (at the server only once the last member of the group leaves)  */
     unsubscribe () {
         return (this._.next = this._.next.then(() => {
             if (this._.state === "unsubscribed")
                 throw new Error("query already unsubscribed")
-            return this._.query._.api.graphql(`mutation ($sid: UUID!) {
-                _Subscription { unsubscribe(sid: $sid) }
-            }`, { sid: this._.sid }).then(() => {
-                delete this._.query._.api._.subscriptions[this._.sid][this._.iid]
-                if (Object.keys(this._.query._.api._.subscriptions[this._.sid]).length === 0)
-                    delete this._.query._.api._.subscriptions[this._.sid]
-                this._.state = "unsubscribed"
+            const api   = this._.query._.api
+            const group = this._.group
+            delete group.members[this._.iid]
+            const members = this.__members()
+            if (members.length > 0) {
+                /*  hand over the leadership to another member  */
+                if (group.leader === this) {
+                    group.leader = members[0]
+                    if (api._.subscriptions[group.sid] !== undefined) {
+                        delete api._.subscriptions[group.sid][this._.iid]
+                        api._.subscriptions[group.sid][group.leader._.iid] = group.leader
+                    }
+                }
+                api.debug(2, "leaving shared subscription " +
+                    `(${this.__describe()}, remaining members: ${members.length})`)
+                this.__state("unsubscribed")
+                if (group.paused || members.some((member) => member._.state !== "paused"))
+                    return true
+
+                /*  pause at the server as all remaining members are paused
+                    (where a failure just keeps the server subscription running)  */
+                return this.__manage("pause").then(() => {
+                    group.paused = true
+                    return true
+                }, (err) => {
+                    api.debug(1, `failed to pause shared subscription (${this.__describe()}): ${err.message}`)
+                    return true
+                })
+            }
+            if (api._.groups[group.key] === group)
+                delete api._.groups[group.key]
+            if (group.sid === "") {
+                /*  never subscribed at the server (e.g. initial query aborted)  */
+                this.__state("unsubscribed")
+                return true
+            }
+            return this.__manage("unsubscribe").then(() => {
+                if (api._.subscriptions[group.sid] !== undefined) {
+                    delete api._.subscriptions[group.sid][this._.iid]
+                    if (Object.keys(api._.subscriptions[group.sid]).length === 0)
+                        delete api._.subscriptions[group.sid]
+                }
+                this.__state("unsubscribed")
                 return true
+            }, (err) => {
+                /*  remain in the group on failures  */
+                group.members[this._.iid] = this
+                if (api._.groups[group.key] === undefined)
+                    api._.groups[group.key] = group
+                throw err
             })
         }))
     }
+
+    /*  iterate over all results (for use with "for await")
+        (where ending the iteration early unsubscribes the subscription)  */
+    [Symbol.asyncIterator] () {
+        const queue   = []
+        const waiting = []
+        let done      = false
+        let offData   = null
+        let offState  = null
+        const finish = () => {
+            if (done)
+                return
+            done = true
+            if (offData !== null)
+                offData()
+            if (offState !== null)
+                offState()
+            while (waiting.length > 0)
+                waiting.shift()({ value: undefined, done: true })
+        }
+        if (this._.state === "unsubscribed")
+            finish()
+        else {
+            offData = this.on("data", (result) => {
+                if (waiting.length > 0)
+                    waiting.shift()({ value: result, done: false })
+                else
+                    queue.push(result)
+            })
+            offState = this.on("state", (state) => {
+                if (state === "unsubscribed")
+                    finish()
+            })
+        }
+        const iterator = {
+            next: () => {
+                if (queue.length > 0)
+                    return Promise.resolve({ value: queue.shift(), done: false })
+                if (done)
+                    return Promise.resolve({ value: undefined, done: true })
+                return new Promise((resolve) => { waiting.push(resolve) })
+            },
+            return: () => {
+                finish()
+                queue.length = 0
+                let unsubscribed = Promise.resolve(true)
+                if (this._.state !== "unsubscribed")
+                    unsubscribed = this.unsubscribe().catch(() => false)
+                return unsubscribed.then(() => ({ value: undefined, done: true }))
+            }
+        }
+        iterator[Symbol.asyncIterator] = () => iterator
+        return iterator
+    }
+
+    /*  provide an Observable of all results
+        (which completes once the subscription is unsubscribed)  */
+    observable () {
+        return new Observable((observer) => {
+            if (this._.state === "unsubscribed") {
+                observer.complete()
+                return
+            }
+            const offData = this.on("data", (result) => {
+                observer.next(result)
+            })
+            const offState = this.on("state", (state) => {
+                if (state === "unsubscribed")
+                    observer.complete()
+            })
+            return () => {
+                offData()
+                offState()
+            }
+        })
+    }
 }
 
+/*  provide interoperability with Observable libraries (like RxJS)  */
+if (typeof Symbol === "function" && typeof Symbol.observable === "symbol")
+    Subscription.prototype[Symbol.observable] = Subscription.prototype.observable
+Subscription.prototype["@@observable"] = Subscription.prototype.observable
+
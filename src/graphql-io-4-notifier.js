@@ -0,0 +1,230 @@
+/*
+**  GraphQL-IO -- GraphQL Network Communication Framework
+**  Copyright (c) 2016-2019 Dr. Ralf S. Engelschall <rse@engelschall.com>
+**
+**  Permission is hereby granted, free of charge, to any person obtaining
+**  a copy of this software and associated documentation files (the
+**  "Software"), to deal in the Software without restriction, including
+**  without limitation the rights to use, copy, modify, merge, publish,
+**  distribute, sublicense, and/or sell copies of the Software, and to
+**  permit persons to whom the Software is furnished to do so, subject to
+**  the following conditions:
+**
+**  The above copyright notice and this permission notice shall be included
+**  in all copies or substantial portions of the Software.
+**
+**  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+**  EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+**  MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+**  IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+**  CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT,
+**  TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
+**  SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/*  external dependencies  */
+import Axios from "axios"
+import Ducky from "ducky"
+
+/*  the Notifier class
+    (the HTTP-based channel for receiving GraphQL notifications)  */
+export default class Notifier {
+    constructor (api, onNotify, onOpen) {
+        /*  define internal state  */
+        Object.defineProperty(this, "_", {
+            configurable: false,
+            enumerable:   false,
+            writable:     false,
+            value:        {}
+        })
+
+        /*  remember internal state  */
+        this._.api      = api
+        this._.onNotify = onNotify
+        this._.onOpen   = onOpen
+        this._.active   = false
+        this._.opened   = false
+        this._.timer    = null
+        this._.cancel   = null
+        this._.source   = null
+        this._.stream   = null
+    }
+
+    /*  INTERNAL: determine the URL of the notification service  */
+    __url () {
+        return `${this._.api.$.url}${this._.api.$.path.notify}`
+    }
+
+    /*  INTERNAL: process a received notification message  */
+    __receive (data) {
+        if (!this._.opened) {
+            this._.opened = true
+            this._.api.debug(2, `notification channel (${this._.api.$.notify}): open`)
+            this._.onOpen()
+        }
+        if (Ducky.validate(data, "[ string* ]") && data.length > 0)
+            this._.onNotify(data)
+    }
+
+    /*  INTERNAL: (re)schedule the establishment of the channel  */
+    __schedule (delay) {
+        if (!this._.active)
+            return
+        if (this._.timer !== null)
+            clearTimeout(this._.timer)
+        this._.timer = setTimeout(() => {
+            this._.timer = null
+            if (this._.api.$.notify === "poll")
+                this.__poll()
+            else if (this._.api.$.notify === "sse")
+                this.__sse()
+        }, delay)
+    }
+
+    /*  INTERNAL: handle a failure of the channel  */
+    __fail (err) {
+        if (!this._.active)
+            return
+        this._.api.debug(2, `notification channel (${this._.api.$.notify}): failed: ${err} ` +
+            `(re-establishing in ${Math.trunc(this._.api.$.notifyDelay / 1000)}s)`)
+        this._.opened = false
+        this.__schedule(this._.api.$.notifyDelay)
+    }
+
+    /*  INTERNAL: perform a single long-polling request  */
+    __poll () {
+        this._.cancel = Axios.CancelToken.source()
+        this._.api._http("notification poll", {
+            method:      "get",
+            url:         this.__url(),
+            cancelToken: this._.cancel.token
+        }).then(({ data }) => {
+            this._.cancel = null
+            this.__receive(data)
+            this.__schedule(0)
+        }, (err) => {
+            this._.cancel = null
+            if (!Axios.isCancel(err))
+                this.__fail(err)
+        })
+    }
+
+    /*  INTERNAL: establish a Server-Sent Events (SSE) stream  */
+    __sse () {
+        const dispatch = (type, data) => {
+            if (type !== "GRAPHQL-NOTIFY")
+                return
+            try { data = JSON.parse(data) }
+            catch (ex) {
+                this._.api.debug(2, `notification channel (sse): invalid message: ${ex}`)
+                return
+            }
+            this.__receive(data)
+        }
+        if (typeof EventSource === "function") {
+            /*  Browser environment: use the native EventSource
+                (Notice: it cannot send any headers, so only the Cookie authenticates)  */
+            const source = new EventSource(this.__url(), { withCredentials: true })
+            source.addEventListener("open", () => {
+                this.__receive([])
+            })
+            source.addEventListener("GRAPHQL-NOTIFY", (ev) => {
+                dispatch("GRAPHQL-NOTIFY", ev.data)
+            })
+            source.addEventListener("error", () => {
+                /*  the EventSource re-connects on its own, except if it gave up  */
+                if (source.readyState === EventSource.CLOSED) {
+                    this._.source = null
+                    this.__fail("stream closed")
+                }
+                else
+                    this._.opened = false
+            })
+            this._.source = source
+        }
+        else {
+            /*  Node environment: use a streamed HTTP response  */
+            this._.cancel = Axios.CancelToken.source()
+            this._.api._http("notification stream", {
+                method:       "get",
+                url:          this.__url(),
+                cancelToken:  this._.cancel.token,
+                responseType: "stream",
+                headers:      { Accept: "text/event-stream" }
+            }).then(({ data: stream }) => {
+                this._.cancel = null
+                this._.stream = stream
+                this.__receive([])
+                let buffer = ""
+                stream.setEncoding("utf8")
+                stream.on("data", (chunk) => {
+                    buffer = (buffer + chunk).replace(/\r\n?/g, "\n")
+                    const blocks = buffer.split("\n\n")
+                    buffer = blocks.pop()
+                    blocks.forEach((block) => {
+                        let type = "message"
+                        const data = []
+                        block.split("\n").forEach((line) => {
+                            const m = line.match(/^([^:]*)(?::\s?(.*))?$/)
+                            if (m[1] === "event")
+                                type = m[2]
+                            else if (m[1] === "data")
+                                data.push(m[2] !== undefined ? m[2] : "")
+                        })
+                        if (data.length > 0)
+                            dispatch(type, data.join("\n"))
+                    })
+                })
+                stream.on("error", (err) => {
+                    this._.stream = null
+                    this.__fail(err)
+                })
+                stream.on("end", () => {
+                    this._.stream = null
+                    this.__fail("stream closed")
+                })
+            }, (err) => {
+                this._.cancel = null
+                if (!Axios.isCancel(err))
+                    this.__fail(err)
+            })
+        }
+    }
+
+    /*  establish the channel  */
+    connect () {
+        if (this._.active)
+            return this
+        this._.api.debug(2, `notification channel (${this._.api.$.notify}): connect`)
+        this._.active = true
+        this.__schedule(0)
+        return this
+    }
+
+    /*  drop the channel  */
+    disconnect () {
+        if (!this._.active)
+            return this
+        this._.api.debug(2, `notification channel (${this._.api.$.notify}): disconnect`)
+        this._.active = false
+        this._.opened = false
+        if (this._.timer !== null) {
+            clearTimeout(this._.timer)
+            this._.timer = null
+        }
+        if (this._.cancel !== null) {
+            this._.cancel.cancel("notification channel disconnected")
+            this._.cancel = null
+        }
+        if (this._.source !== null) {
+            this._.source.close()
+            this._.source = null
+        }
+        if (this._.stream !== null) {
+            this._.stream.destroy()
+            this._.stream = null
+        }
+        return this
+    }
+}
+
@@ -0,0 +1,273 @@
+/*
+**  GraphQL-IO -- GraphQL Network Communication Framework
+**  Copyright (c) 2016-2019 Dr. Ralf S. Engelschall <rse@engelschall.com>
+**
+**  Permission is hereby granted, free of charge, to any person obtaining
+**  a copy of this software and associated documentation files (the
+**  "Software"), to deal in the Software without restriction, including
+**  without limitation the rights to use, copy, modify, merge, publish,
+**  distribute, sublicense, and/or sell copies of the Software, and to
+**  permit persons to whom the Software is furnished to do so, subject to
+**  the following conditions:
+**
+**  The above copyright notice and this permission notice shall be included
+**  in all copies or substantial portions of the Software.
+**
+**  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+**  EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+**  MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+**  IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+**  CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT,
+**  TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
+**  SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/*  external dependencies  */
+import UUID  from "pure-uuid"
+import clone from "clone"
+
+/*  internal dependencies  */
+import { GraphQLIOError } from "./graphql-io-8-error"
+
+/*  the Outbox class
+    (the queue of GraphQL mutations issued while being offline)  */
+export default class Outbox {
+    constructor (api) {
+        /*  define internal state  */
+        Object.defineProperty(this, "_", {
+            configurable: false,
+            enumerable:   false,
+            writable:     false,
+            value:        {}
+        })
+
+        /*  remember internal state  */
+        this._.api       = api
+        this._.items     = []
+        this._.pending   = {}
+        this._.replaying = null
+        this._.retries   = 0
+        this._.timer     = null
+
+        /*  determine storage (any object with a localStorage-compatible
+            getItem/setItem interface, optionally returning Promises)  */
+        this._.storage = api.$.storage
+        if (this._.storage === null && typeof localStorage === "object" && localStorage !== null)
+            this._.storage = localStorage
+        this._.key = `${api.$.prefix}Outbox`
+        if (api._.parent !== null)
+            this._.key += `-${api._.name}`
+    }
+
+    /*  determine whether an error is caused by the network being unreachable
+        (in contrast to an HTTP error response from the server or
+        a locally raised error like a timeout or an abort)  */
+    static isNetworkError (error) {
+        return (
+            typeof error === "object"
+            && error !== null
+            && typeof error.networkError === "object"
+            && error.networkError !== null
+            && typeof error.networkError.statusCode !== "number"
+            && !(error.networkError instanceof GraphQLIOError)
+        )
+    }
+
+    /*  load queued items from storage  */
+    async load () {
+        if (this._.storage === null)
+            return this
+        try {
+            const data = await Promise.resolve(this._.storage.getItem(this._.key))
+            if (typeof data === "string" && data !== "")
+                this._.items = JSON.parse(data)
+        }
+        catch (ex) {
+            this._.api.error(`failed to load offline queue: ${ex}`)
+        }
+        this._.api.debug(2, `offline queue loaded (items: ${this._.items.length})`)
+        return this
+    }
+
+    /*  save queued items to storage  */
+    async save () {
+        if (this._.storage === null)
+            return this
+        try {
+            await Promise.resolve(this._.storage.setItem(this._.key, JSON.stringify(this._.items)))
+        }
+        catch (ex) {
+            this._.api.error(`failed to save offline queue: ${ex}`)
+        }
+        return this
+    }
+
+    /*  determine whether mutations have to be queued
+        (while being offline or while older mutations are still queued)  */
+    active () {
+        return !this._.api._.online || this._.items.length > 0
+    }
+
+    /*  inspect queued items  */
+    items () {
+        return clone(this._.items, false)
+    }
+
+    /*  queue a mutation  */
+    enqueue (query, onResult) {
+        const item = {
+            id:    (new UUID(1)).format(),
+            date:  (new Date()).toISOString(),
+            query: query._.query,
+            vars:  query._.vars,
+            opts:  {
+                errorsEmit: query._.opts.errorsEmit,
+                errorsPass: query._.opts.errorsPass,
+                dataStrict: query._.opts.dataStrict
+            }
+        }
+        this._.items.push(item)
+        this._.api.debug(2, `offline queue: queued mutation ${item.id} (items: ${this._.items.length})`)
+        const promise = new Promise((resolve) => {
+            this._.pending[item.id] = { query, onResult, resolve }
+        })
+        this._.api.emit("offline-queued", clone(item, false))
+        return this.save().then(() => promise)
+    }
+
+    /*  discard a single or all queued items  */
+    async discard (id = null) {
+        const discarded = this._.items.filter((item) => id === null || item.id === id)
+        this._.items = this._.items.filter((item) => !(id === null || item.id === id))
+        discarded.forEach((item) => {
+            this._.api.debug(2, `offline queue: discarded mutation ${item.id}`)
+            const pending = this._.pending[item.id]
+            if (pending !== undefined) {
+                delete this._.pending[item.id]
+                pending.resolve(pending.query.__processResults({
+                    data: null, errors: [ new Error("queued mutation discarded") ]
+                }, pending.onResult))
+            }
+        })
+        await this.save()
+        return discarded.length
+    }
+
+    /*  INTERNAL: let application decide about an error or conflict
+        (where a failing decision handler discards the item)  */
+    async __decide (item, handler, ...args) {
+        try {
+            return await handler(...args)
+        }
+        catch (ex) {
+            this._.api.debug(2, `offline queue: deciding about mutation ${item.id} failed: ${ex.message || ex}`)
+            this._.api.emit("offline-error", clone(item, false), ex instanceof Error ? ex : new Error(ex))
+            return "discard"
+        }
+    }
+
+    /*  INTERNAL: schedule the next replay of a retried item while being online
+        (delayed with the exponential backoff of the client-level retry policy)  */
+    __schedule () {
+        if (this._.timer !== null || !this._.api._.online)
+            return
+        const delay = this._.api._retryDelay(this._.api.$.retry, ++this._.retries)
+        this._.api.debug(2, `offline queue: replaying again in ${delay}ms`)
+        this._.timer = setTimeout(() => {
+            this._.timer = null
+            if (this._.api._.online)
+                this._.api._replay()
+        }, delay)
+    }
+
+    /*  stop any scheduled replay  */
+    stop () {
+        if (this._.timer !== null) {
+            clearTimeout(this._.timer)
+            this._.timer = null
+        }
+        return this
+    }
+
+    /*  replay all queued items in order  */
+    replay () {
+        if (this._.replaying !== null)
+            return this._.replaying
+        this.stop()
+        let retried = false
+        this._.replaying = (async () => {
+            let replayed = 0
+            while (this._.items.length > 0) {
+                const item    = this._.items[0]
+                const pending = this._.pending[item.id]
+                this._.api.debug(2, `offline queue: replaying mutation ${item.id}`)
+
+                /*  re-create query (after a restart, from the persisted information only)  */
+                const query = pending !== undefined ?
+                    pending.query : this._.api._graphql("mutation", item.query, item.vars, item.opts)
+
+                /*  send query  */
+                let result = null
+                let error  = null
+                const errors = query.__compileAST()
+                if (errors !== null)
+                    error = errors[0]
+                else {
+                    try {
+                        result = clone(await query.__request(), false)
+                    }
+                    catch (ex) {
+                        error = ex
+                    }
+                }
+
+                /*  stop replaying if we are (again) offline  */
+                if (error !== null && Outbox.isNetworkError(error)) {
+                    this._.api.debug(2, `offline queue: replaying mutation ${item.id} failed: still offline`)
+                    this._.api._online(false)
+                    break
+                }
+
+                /*  let application decide about errors and conflicts  */
+                let action = "discard"
+                if (error !== null) {
+                    this._.api.emit("offline-error", clone(item, false), error)
+                    if (pending !== undefined && pending.query._.opts.onError !== null)
+                        action = await this.__decide(item, pending.query._.opts.onError, error, clone(item, false))
+                    result = { data: null, errors: [ error instanceof Error ? error : new Error(error) ] }
+                }
+                else if (typeof result.errors === "object" && result.errors instanceof Array && result.errors.length > 0) {
+                    this._.api.emit("offline-conflict", clone(item, false), result)
+                    if (pending !== undefined && pending.query._.opts.onConflict !== null)
+                        action = await this.__decide(item, pending.query._.opts.onConflict, result, clone(item, false))
+                }
+                if (action === "retry") {
+                    this._.api.debug(2, `offline queue: keeping mutation ${item.id} for next replay`)
+                    retried = true
+                    break
+                }
+
+                /*  dequeue item and pass result to the original caller  */
+                this._.retries = 0
+                this._.items.shift()
+                delete this._.pending[item.id]
+                await this.save()
+                replayed++
+                this._.api.emit("offline-replayed", clone(item, false), result)
+                if (pending !== undefined)
+                    pending.resolve(query.__processResults(result, pending.onResult, ` <replayed: ${item.id}>`))
+            }
+            return replayed
+        })().then((replayed) => {
+            this._.replaying = null
+            if (retried)
+                this.__schedule()
+            return replayed
+        }, (err) => {
+            this._.replaying = null
+            throw err
+        })
+        return this._.replaying
+    }
+}
+
@@ -0,0 +1,185 @@
+/*
+**  GraphQL-IO -- GraphQL Network Communication Framework
+**  Copyright (c) 2016-2019 Dr. Ralf S. Engelschall <rse@engelschall.com>
+**
+**  Permission is hereby granted, free of charge, to any person obtaining
+**  a copy of this software and associated documentation files (the
+**  "Software"), to deal in the Software without restriction, including
+**  without limitation the rights to use, copy, modify, merge, publish,
+**  distribute, sublicense, and/or sell copies of the Software, and to
+**  permit persons to whom the Software is furnished to do so, subject to
+**  the following conditions:
+**
+**  The above copyright notice and this permission notice shall be included
+**  in all copies or substantial portions of the Software.
+**
+**  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+**  EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+**  MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+**  IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+**  CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT,
+**  TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
+**  SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/*  external dependencies  */
+import Axios          from "axios"
+import Ducky          from "ducky"
+import Chunking       from "chunking"
+import { Observable } from "apollo-link"
+import { print }      from "graphql/language/printer"
+
+/*  the Batcher class
+    (the collector of concurrent GraphQL operations into single round-trips)  */
+export default class Batcher {
+    constructor (api) {
+        /*  define internal state  */
+        Object.defineProperty(this, "_", {
+            configurable: false,
+            enumerable:   false,
+            writable:     false,
+            value:        {}
+        })
+
+        /*  remember internal state  */
+        this._.api     = api
+        this._.count   = 0
+        this._.waiting = {}
+
+        /*  collect operations issued within the batching window  */
+        this._.collect = Chunking({
+            reset: (ctx) => {
+                ctx.entries = []
+            },
+            absorb: (ctx, entry) => {
+                ctx.entries.push(entry)
+            },
+            emit: (ctx) => {
+                this._.count = 0
+                const entries = ctx.entries.filter((entry) => !entry.cancelled)
+                if (entries.length > 0)
+                    this.__send(entries)
+            },
+            delay: api.$.batch
+        })
+
+        /*  receive batch responses via the WebSocket connection
+            (and fail all still waiting batches once the connection is lost,
+            as their responses will never arrive on a subsequent connection)  */
+        if (api._.graphqlLinkWS !== null) {
+            api._.graphqlLinkWS.on("receive", ({ rid, type, data }) => {
+                if (type === "GRAPHQL-BATCH-RESPONSE" && this._.waiting[rid] !== undefined)
+                    this._.waiting[rid].resolve(data)
+            })
+            const fail = () => {
+                Object.keys(this._.waiting).forEach((fid) => {
+                    this._.waiting[fid].reject(new Error("connection closed while waiting for batch response"))
+                })
+            }
+            api._.graphqlLinkWS.on("close", fail)
+            api._.graphqlLinkWS.on("disconnect", fail)
+        }
+    }
+
+    /*  INTERNAL: convert an operation into a request object
+        (omitting the query text for persisted queries where only the hash is sent)  */
+    __request (operation) {
+        const request = { query: print(operation.query) }
+        if (operation.operationName)
+            request.operationName = operation.operationName
+        if (Object.keys(operation.variables).length > 0)
+            request.variables = operation.variables
+        if (Object.keys(operation.extensions).length > 0) {
+            request.extensions = operation.extensions
+            if (this._.api._.pqHashOnly.has(operation.extensions.persistedQuery))
+                delete request.query
+        }
+        return request
+    }
+
+    /*  INTERNAL: send a batch of operations and demultiplex the results  */
+    __send (entries) {
+        const api = this._.api
+        const transport = api.$.mode === "auto" ? api._.transport : api.$.mode
+        const requests = entries.map((entry) => this.__request(entry.operation))
+        api.debug(2, `sending batch of ${requests.length} GraphQL operation(s) via ${transport}`)
+        let response
+        if (transport === "websocket") {
+            /*  send batch as a single WebSocket message  */
+            response = new Promise((resolve, reject) => {
+                api._.graphqlLinkWS.send("GRAPHQL-BATCH", requests).then((frame) => {
+                    this._.waiting[frame.fid] = {
+                        resolve: (data) => {
+                            delete this._.waiting[frame.fid]
+                            resolve(data)
+                        },
+                        reject: (err) => {
+                            delete this._.waiting[frame.fid]
+                            reject(err)
+                        }
+                    }
+                }).catch((err) => {
+                    reject(err)
+                })
+            })
+        }
+        else {
+            /*  send batch as a single HTTP request
+                (which is aborted once all its operations are cancelled)  */
+            const source = Axios.CancelToken.source()
+            entries.forEach((entry) => {
+                entry.onCancel = () => {
+                    if (entries.every((entry) => entry.cancelled))
+                        source.cancel("all operations of batch cancelled")
+                }
+            })
+            response = api._.http.post(`${api.$.url}${api.$.path.graph}`, requests, { cancelToken: source.token })
+                .then(({ data }) => data, (err) => {
+                    if (err.response) {
+                        /*  provide the same error information as the HTTP link  */
+                        err.statusCode = err.response.status
+                        err.result     = err.response.data
+                    }
+                    throw err
+                })
+        }
+        response.then((results) => {
+            if (!(results instanceof Array) || results.length !== entries.length)
+                throw new Error("invalid GraphQL batch response (expected one result per operation)")
+            entries.forEach((entry, i) => {
+                if (entry.cancelled)
+                    return
+                const result = results[i]
+                if (!Ducky.validate(result,
+                    "({ data: Object, errors?: [ Object* ] } | { data?: Object, errors: [ Object* ] })"))
+                    entry.observer.error(new Error("invalid GraphQL response object"))
+                else {
+                    entry.operation.setContext({ response: result })
+                    entry.observer.next(result)
+                    entry.observer.complete()
+                }
+            })
+        }).catch((err) => {
+            entries.forEach((entry) => {
+                if (!entry.cancelled)
+                    entry.observer.error(err)
+            })
+        })
+    }
+
+    /*  enqueue an operation into the current batch  */
+    request (operation) {
+        return new Observable((observer) => {
+            const entry = { operation, observer, cancelled: false, onCancel: null }
+            this._.collect(entry)
+            if (++this._.count >= this._.api.$.batchMax)
+                this._.collect.emit()
+            return () => {
+                entry.cancelled = true
+                if (entry.onCancel !== null)
+                    entry.onCancel()
+            }
+        })
+    }
+}
+
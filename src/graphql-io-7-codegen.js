@@ -0,0 +1,331 @@
+/*
+**  GraphQL-IO -- GraphQL Network Communication Framework
+**  Copyright (c) 2016-2019 Dr. Ralf S. Engelschall <rse@engelschall.com>
+**
+**  Permission is hereby granted, free of charge, to any person obtaining
+**  a copy of this software and associated documentation files (the
+**  "Software"), to deal in the Software without restriction, including
+**  without limitation the rights to use, copy, modify, merge, publish,
+**  distribute, sublicense, and/or sell copies of the Software, and to
+**  permit persons to whom the Software is furnished to do so, subject to
+**  the following conditions:
+**
+**  The above copyright notice and this permission notice shall be included
+**  in all copies or substantial portions of the Software.
+**
+**  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+**  EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+**  MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+**  IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+**  CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT,
+**  TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
+**  SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/*  external dependencies  */
+import Ducky from "ducky"
+import {
+    parse, print, visit, typeFromAST,
+    GraphQLNonNull, GraphQLString,
+    isNonNullType, isListType, isScalarType, isEnumType, isObjectType,
+    isAbstractType, isCompositeType
+} from "graphql"
+
+/*  internal dependencies  */
+import loadSchema from "./graphql-io-15-schema"
+
+/*  mapping of the standard GraphQL scalar types  */
+const scalarTypes = {
+    Int:     { ts: "number",  ducky: "number" },
+    Float:   { ts: "number",  ducky: "number" },
+    String:  { ts: "string",  ducky: "string" },
+    ID:      { ts: "string",  ducky: "string" },
+    Boolean: { ts: "boolean", ducky: "boolean" }
+}
+
+/*  the Codegen class
+    (the generator of typed query functions from the GraphQL schema)  */
+export default class Codegen {
+    constructor (options = {}) {
+        /*  sanity check options  */
+        const err = []
+        if (!Ducky.validate(options, `{
+            schema: (string|object),
+            scalars?: object,
+            typenames?: boolean,
+            module?: string
+        }`, err))
+            throw new Error(`invalid options: ${err.join("; ")}`)
+
+        /*  define internal state  */
+        Object.defineProperty(this, "_", {
+            configurable: false,
+            enumerable:   false,
+            writable:     false,
+            value:        {}
+        })
+
+        /*  remember internal state  */
+        this._.scalars   = Object.assign({}, options.scalars)
+        this._.typenames = (options.typenames === true)
+        this._.module    = options.module || "graphql-io-client"
+        this._.schema    = Codegen.schema(options.schema)
+    }
+
+    /*  determine the GraphQL schema from either a SDL string, a JSON introspection
+        string, an introspection result object or an already existing schema  */
+    static schema (schema) {
+        return loadSchema(schema)
+    }
+
+    /*  INTERNAL: determine the shape of a selection set
+        (fields of fragments on more specific types are optional only)  */
+    __shape (type, selectionSet, fragments, shape = {}, optional = false) {
+        selectionSet.selections.forEach((selection) => {
+            if (selection.kind === "Field") {
+                const name = selection.name.value
+                const key  = selection.alias ? selection.alias.value : name
+                let fieldType
+                if (name === "__typename")
+                    fieldType = new GraphQLNonNull(GraphQLString)
+                else {
+                    const fields = typeof type.getFields === "function" ? type.getFields() : {}
+                    if (fields[name] === undefined)
+                        throw new Error(`unknown field "${name}" on type "${type.name}"`)
+                    fieldType = fields[name].type
+                }
+                let entry = shape[key]
+                if (entry === undefined)
+                    entry = shape[key] = { type: fieldType, optional, fields: null }
+                else if (!optional)
+                    entry.optional = false
+                const namedType = this.__namedType(fieldType)
+                if (isCompositeType(namedType)) {
+                    if (!selection.selectionSet)
+                        throw new Error(`missing selection set on field "${name}" of type "${namedType.name}"`)
+                    entry.fields = this.__shape(namedType, selection.selectionSet, fragments, entry.fields || {})
+                }
+            }
+            else {
+                let fragment = selection
+                if (selection.kind === "FragmentSpread") {
+                    fragment = fragments[selection.name.value]
+                    if (fragment === undefined)
+                        throw new Error(`unknown fragment "${selection.name.value}"`)
+                }
+                let condition = type
+                if (fragment.typeCondition) {
+                    condition = this._.schema.getType(fragment.typeCondition.name.value)
+                    if (!isCompositeType(condition))
+                        throw new Error(`invalid type condition "${fragment.typeCondition.name.value}"`)
+                }
+                const unconditional = (
+                    condition === type
+                    || (isObjectType(type) && isAbstractType(condition)
+                        && this._.schema.isPossibleType(condition, type))
+                )
+                this.__shape(condition, fragment.selectionSet, fragments, shape, optional || !unconditional)
+            }
+        })
+        return shape
+    }
+
+    /*  INTERNAL: determine the named type of a wrapped type  */
+    __namedType (type) {
+        while (isNonNullType(type) || isListType(type))
+            type = type.ofType
+        return type
+    }
+
+    /*  INTERNAL: generate TypeScript type of an output type  */
+    __tsOutput (type, fields, indent) {
+        if (!isNonNullType(type))
+            return `${this.__tsOutput(new GraphQLNonNull(type), fields, indent)} | null`
+        type = type.ofType
+        if (isListType(type))
+            return `Array<${this.__tsOutput(type.ofType, fields, indent)}>`
+        else if (isScalarType(type))
+            return this.__tsScalar(type)
+        else if (isEnumType(type))
+            return type.getValues().map((value) => `"${value.name}"`).join(" | ")
+        else {
+            const pad = " ".repeat(indent)
+            const lines = Object.keys(fields).map((key) =>
+                `${pad}    ${key}${fields[key].optional ? "?" : ""}: ` +
+                this.__tsOutput(fields[key].type, fields[key].fields, indent + 4))
+            if (this._.typenames && fields.__typename === undefined)
+                lines.push(`${pad}    __typename?: string`)
+            return `{\n${lines.join("\n")}\n${pad}}`
+        }
+    }
+
+    /*  INTERNAL: generate TypeScript type of an input type
+        (remembering all referenced input object types)  */
+    __tsInput (type, inputs) {
+        if (!isNonNullType(type))
+            return `${this.__tsInput(new GraphQLNonNull(type), inputs)} | null`
+        type = type.ofType
+        if (isListType(type))
+            return `Array<${this.__tsInput(type.ofType, inputs)}>`
+        else if (isScalarType(type))
+            return this.__tsScalar(type)
+        else if (isEnumType(type))
+            return type.getValues().map((value) => `"${value.name}"`).join(" | ")
+        else {
+            if (inputs[type.name] === undefined) {
+                inputs[type.name] = null
+                const fields = type.getFields()
+                inputs[type.name] = Object.keys(fields).map((name) => {
+                    const optional = !isNonNullType(fields[name].type) || fields[name].defaultValue !== undefined
+                    return `    ${name}${optional ? "?" : ""}: ${this.__tsInput(fields[name].type, inputs)}`
+                })
+            }
+            return type.name
+        }
+    }
+
+    /*  INTERNAL: generate TypeScript type of a scalar type  */
+    __tsScalar (type) {
+        if (this._.scalars[type.name] !== undefined)
+            return this._.scalars[type.name]
+        else if (scalarTypes[type.name] !== undefined)
+            return scalarTypes[type.name].ts
+        else
+            return "any"
+    }
+
+    /*  INTERNAL: generate Ducky specification of an output type  */
+    __ducky (type, fields) {
+        if (!isNonNullType(type))
+            return `(${this.__ducky(new GraphQLNonNull(type), fields)} | null)`
+        type = type.ofType
+        if (isListType(type))
+            return `[ ${this.__ducky(type.ofType, fields)}* ]`
+        else if (isScalarType(type)) {
+            const mapped = this._.scalars[type.name]
+            if (typeof mapped === "string" && mapped.match(/^(?:string|number|boolean)$/))
+                return mapped
+            return scalarTypes[type.name] !== undefined ? scalarTypes[type.name].ducky : "any"
+        }
+        else if (isEnumType(type))
+            return `/^(?:${type.getValues().map((value) => value.name).join("|")})$/`
+        else {
+            const specs = Object.keys(fields).map((key) =>
+                `${key}${fields[key].optional ? "?" : ""}: ${this.__ducky(fields[key].type, fields[key].fields)}`)
+            if (this._.typenames && fields.__typename === undefined)
+                specs.push("__typename?: string")
+            return `{ ${specs.join(", ")} }`
+        }
+    }
+
+    /*  generate typed query functions, TypeScript types and Ducky specifications
+        for all (named) GraphQL query and mutation operations of a document  */
+    generate (source) {
+        /*  parse the GraphQL document  */
+        const document = typeof source === "string" ? parse(source) : source
+        const fragments = {}
+        document.definitions
+            .filter((definition) => definition.kind === "FragmentDefinition")
+            .forEach((definition) => { fragments[definition.name.value] = definition })
+
+        /*  process all operations  */
+        const inputs = {}
+        const operations = document.definitions
+            .filter((definition) => definition.kind === "OperationDefinition")
+            .map((definition) => {
+                /*  sanity check operation  */
+                if (!definition.name)
+                    throw new Error("GraphQL operations have to be named for code generation")
+                const name = definition.name.value
+                const type = definition.operation
+                let root
+                if (type === "query")
+                    root = this._.schema.getQueryType()
+                else if (type === "mutation")
+                    root = this._.schema.getMutationType()
+                else
+                    throw new Error(`GraphQL "${type}" operation "${name}" not supported ` +
+                        "(use subscribe() on a regular query operation instead)")
+                if (!root)
+                    throw new Error(`GraphQL schema does not support "${type}" operations`)
+
+                /*  determine query text (including all transitively used fragments)  */
+                const used = {}
+                const collect = (node) => {
+                    visit(node, {
+                        FragmentSpread: (spread) => {
+                            const fragment = fragments[spread.name.value]
+                            if (fragment !== undefined && used[spread.name.value] === undefined) {
+                                used[spread.name.value] = fragment
+                                collect(fragment)
+                            }
+                        }
+                    })
+                }
+                collect(definition)
+                const query = [ definition ].concat(Object.keys(used).map((key) => used[key]))
+                    .map((node) => print(node)).join("\n\n")
+
+                /*  determine result types and Ducky specification  */
+                const shape   = this.__shape(root, definition.selectionSet, fragments)
+                const result  = this.__tsOutput(new GraphQLNonNull(root), shape, 0)
+                const require = this.__ducky(new GraphQLNonNull(root), shape)
+
+                /*  determine variable types  */
+                let optional = true
+                const variables = (definition.variableDefinitions || []).map((def) => {
+                    const varType = typeFromAST(this._.schema, def.type)
+                    if (!varType)
+                        throw new Error(`unknown type of variable "${def.variable.name.value}"`)
+                    const opt = !isNonNullType(varType) || !!def.defaultValue
+                    optional = optional && opt
+                    return `    ${def.variable.name.value}${opt ? "?" : ""}: ${this.__tsInput(varType, inputs)}`
+                })
+
+                return { name, type, query, result, variables, optional, dataRequire: require }
+            })
+
+        /*  generate the TypeScript code  */
+        const ucfirst = (name) => name.charAt(0).toUpperCase() + name.slice(1)
+        const lcfirst = (name) => name.charAt(0).toLowerCase() + name.slice(1)
+        let code =
+            "/*  generated by GraphQL-IO Client Codegen -- DO NOT EDIT  */\n" +
+            "\n" +
+            `import { Client, Query, Options } from "${this._.module}"\n`
+        Object.keys(inputs).forEach((name) => {
+            code += "\n" +
+                `/*  input type ${name}  */\n` +
+                `export interface ${name} {\n${inputs[name].join("\n")}\n}\n`
+        })
+        operations.forEach((op) => {
+            const Name = ucfirst(op.name)
+            const method = op.type === "mutation" ? "mutation" : "query"
+            code += "\n" +
+                `/*  ${op.type} ${op.name}  */\n` +
+                `export const ${Name}Document = ${JSON.stringify(op.query)}\n` +
+                `export const ${Name}DataRequire = ${JSON.stringify(op.dataRequire)}\n` +
+                `export interface ${Name}Variables {${op.variables.length > 0 ? "\n" + op.variables.join("\n") + "\n" : ""}}\n` +
+                `export type ${Name}Result = ${op.result}\n` +
+                `export function ${lcfirst(op.name)} (\n` +
+                "    client: Client,\n" +
+                `    variables${op.optional ? "?" : ""}: ${Name}Variables,\n` +
+                `    options?: Options<${Name}Result, ${Name}Variables>\n` +
+                `): Query<${Name}Result> {\n` +
+                `    return client.${method}<${Name}Result, ${Name}Variables>(${Name}Document, variables,\n` +
+                `        Object.assign({ dataRequire: ${Name}DataRequire }, options))\n` +
+                "}\n"
+        })
+
+        /*  provide code and operation information  */
+        return {
+            code,
+            operations: operations.map((op) => ({
+                name:        op.name,
+                type:        op.type,
+                query:       op.query,
+                dataRequire: op.dataRequire
+            }))
+        }
+    }
+}
+
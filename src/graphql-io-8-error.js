@@ -0,0 +1,199 @@
+/*
+**  GraphQL-IO -- GraphQL Network Communication Framework
+**  Copyright (c) 2016-2019 Dr. Ralf S. Engelschall <rse@engelschall.com>
+**
+**  Permission is hereby granted, free of charge, to any person obtaining
+**  a copy of this software and associated documentation files (the
+**  "Software"), to deal in the Software without restriction, including
+**  without limitation the rights to use, copy, modify, merge, publish,
+**  distribute, sublicense, and/or sell copies of the Software, and to
+**  permit persons to whom the Software is furnished to do so, subject to
+**  the following conditions:
+**
+**  The above copyright notice and this permission notice shall be included
+**  in all copies or substantial portions of the Software.
+**
+**  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+**  EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+**  MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+**  IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+**  CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT,
+**  TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
+**  SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/*  the base class of all GraphQL-IO errors
+    (carrying the error code, the GraphQL path, locations and extensions,
+    the originating GraphQL operation and the originating error)  */
+export class GraphQLIOError extends Error {
+    constructor (message, info = {}) {
+        super(message)
+        this.name          = "GraphQLIOError"
+        this.code          = info.code || "GRAPHQL_IO_ERROR"
+        this.path          = info.path || null
+        this.locations     = info.locations || null
+        this.extensions    = info.extensions || {}
+        this.operation     = info.operation || null
+        this.originalError = info.originalError || null
+    }
+
+    /*  render error as a human readable single-line message  */
+    toString () {
+        let where = ""
+        if (this.path !== null && this.path.length > 0)
+            where = ` at path ${this.path.join(".")}`
+        else if (this.locations !== null && this.locations.length > 0)
+            where = ` at line ${this.locations[0].line}, column ${this.locations[0].column}`
+        return `${this.name}${where}: ${this.message.replace(/(?:\s|\r?\n)+/g, " ")}`
+    }
+
+    /*  render error as a GraphQL result error object  */
+    toJSON () {
+        const obj = { message: this.message }
+        if (this.locations !== null)
+            obj.locations = this.locations
+        if (this.path !== null)
+            obj.path = this.path
+        obj.extensions = Object.assign({}, this.extensions, { code: this.code })
+        return obj
+    }
+
+    /*  convert an arbitrary error (a string, an Error, an Apollo Client
+        error or a GraphQL result error object) into a GraphQL-IO error  */
+    static from (err, operation = null) {
+        if (err instanceof GraphQLIOError) {
+            if (err.operation === null)
+                err.operation = operation
+            return err
+        }
+
+        /*  Apollo Client errors wrap the actual errors
+            (where only the first one is represented here, see all() for the others)  */
+        if (typeof err === "object" && err !== null && err.networkError)
+            return NetworkError.from(err.networkError, operation)
+        if (   typeof err === "object" && err !== null
+            && err.graphQLErrors instanceof Array && err.graphQLErrors.length > 0)
+            err = err.graphQLErrors[0]
+
+        /*  determine the error information  */
+        if (typeof err !== "object" || err === null)
+            return new GraphQLIOError(String(err), { operation })
+        const message    = typeof err.message === "string" ? err.message : String(err)
+        const extensions = typeof err.extensions === "object" && err.extensions !== null ? err.extensions : {}
+        const info = {
+            path:          err.path instanceof Array ? err.path : null,
+            locations:     err.locations instanceof Array ? err.locations : null,
+            extensions:    extensions,
+            operation:     operation,
+            originalError: err instanceof Error ? err : null
+        }
+        if (typeof extensions.code === "string")
+            info.code = extensions.code
+
+        /*  dispatch onto the particular error class  */
+        if (info.code === "GRAPHQL_VALIDATION_FAILED" || info.code === "GRAPHQL_PARSE_FAILED")
+            return new ValidationError(message, info)
+        else if (err.name === "GraphQLError" && err instanceof Error && info.path === null)
+            return new ValidationError(message, Object.assign({ code: "GRAPHQL_PARSE_FAILED" }, info))
+        else if (info.code === "UNAUTHENTICATED" || info.code === "FORBIDDEN")
+            return new AuthError(message, info)
+        else if (info.code === "TIMEOUT")
+            return new TimeoutError(message, info)
+        else if (info.code === "ABORTED")
+            return new AbortError(message, info)
+        else if (err instanceof Error && info.path === null && info.locations === null)
+            return new GraphQLIOError(message, info)
+        else
+            return new GraphQLError(message, info)
+    }
+
+    /*  convert an arbitrary error into a list of GraphQL-IO errors
+        (as Apollo Client errors can wrap multiple GraphQL errors)  */
+    static all (err, operation = null) {
+        if (   typeof err === "object" && err !== null && !err.networkError
+            && err.graphQLErrors instanceof Array && err.graphQLErrors.length > 0)
+            return err.graphQLErrors.map((error) => GraphQLIOError.from(error, operation))
+        return [ GraphQLIOError.from(err, operation) ]
+    }
+}
+
+/*  the error of the network communication  */
+export class NetworkError extends GraphQLIOError {
+    constructor (message, info = {}) {
+        super(message, Object.assign({ code: "NETWORK_ERROR" }, info))
+        this.name       = "NetworkError"
+        this.statusCode = typeof info.statusCode === "number" ? info.statusCode : null
+    }
+
+    /*  convert a network error of Apollo Client, Apollo Client WS or Axios  */
+    static from (err, operation = null) {
+        if (err instanceof GraphQLIOError)
+            return GraphQLIOError.from(err, operation)
+        let statusCode = null
+        if (typeof err === "object" && err !== null) {
+            if (typeof err.statusCode === "number")
+                statusCode = err.statusCode
+            else if (typeof err.status === "number")
+                statusCode = err.status
+            else if (typeof err.response === "object" && err.response !== null
+                && typeof err.response.status === "number")
+                statusCode = err.response.status
+        }
+        const message = typeof err === "object" && err !== null && typeof err.message === "string" ?
+            err.message : String(err)
+        const info = {
+            statusCode,
+            extensions:    statusCode !== null ? { statusCode } : {},
+            operation,
+            originalError: err instanceof Error ? err : null
+        }
+        if (statusCode === 401)
+            return new AuthError(message, Object.assign({ code: "UNAUTHENTICATED" }, info))
+        else if (statusCode === 403)
+            return new AuthError(message, Object.assign({ code: "FORBIDDEN" }, info))
+        else
+            return new NetworkError(message, info)
+    }
+}
+
+/*  the error of the authentication (or authorization)  */
+export class AuthError extends GraphQLIOError {
+    constructor (message, info = {}) {
+        super(message, Object.assign({ code: "UNAUTHENTICATED" }, info))
+        this.name       = "AuthError"
+        this.statusCode = typeof info.statusCode === "number" ? info.statusCode : null
+    }
+}
+
+/*  the error of a GraphQL operation reported by the server  */
+export class GraphQLError extends GraphQLIOError {
+    constructor (message, info = {}) {
+        super(message, Object.assign({ code: "GRAPHQL_ERROR" }, info))
+        this.name = "GraphQLError"
+    }
+}
+
+/*  the error of validating a GraphQL operation, its variables or its result  */
+export class ValidationError extends GraphQLIOError {
+    constructor (message, info = {}) {
+        super(message, Object.assign({ code: "GRAPHQL_VALIDATION_FAILED" }, info))
+        this.name = "ValidationError"
+    }
+}
+
+/*  the error of a GraphQL operation not completed in time  */
+export class TimeoutError extends GraphQLIOError {
+    constructor (message, info = {}) {
+        super(message, Object.assign({ code: "TIMEOUT" }, info))
+        this.name = "TimeoutError"
+    }
+}
+
+/*  the error of a GraphQL operation aborted through its AbortSignal  */
+export class AbortError extends GraphQLIOError {
+    constructor (message, info = {}) {
+        super(message, Object.assign({ code: "ABORTED" }, info))
+        this.name = "AbortError"
+    }
+}
+
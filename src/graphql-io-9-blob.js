@@ -0,0 +1,335 @@
+/*
+**  GraphQL-IO -- GraphQL Network Communication Framework
+**  Copyright (c) 2016-2019 Dr. Ralf S. Engelschall <rse@engelschall.com>
+**
+**  Permission is hereby granted, free of charge, to any person obtaining
+**  a copy of this software and associated documentation files (the
+**  "Software"), to deal in the Software without restriction, including
+**  without limitation the rights to use, copy, modify, merge, publish,
+**  distribute, sublicense, and/or sell copies of the Software, and to
+**  permit persons to whom the Software is furnished to do so, subject to
+**  the following conditions:
+**
+**  The above copyright notice and this permission notice shall be included
+**  in all copies or substantial portions of the Software.
+**
+**  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+**  EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+**  MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+**  IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+**  CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT,
+**  TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
+**  SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/*  external dependencies  */
+import Axios                        from "axios"
+import Ducky                        from "ducky"
+
+/*  internal dependencies  */
+import { NetworkError, AbortError } from "./graphql-io-8-error"
+
+/*  determine whether we are running under a Browser environment
+    (where BLOBs are transferred as Blob objects instead of Buffers and Streams)  */
+const isBrowser = (typeof XMLHttpRequest !== "undefined")
+
+/*  the Blobs class
+    (the access to the Binary Large OBjects (BLOBs) of the BLOB service,
+    authenticated the same way as the GraphQL requests)  */
+export default class Blobs {
+    constructor (api) {
+        /*  define internal state  */
+        Object.defineProperty(this, "_", {
+            configurable: false,
+            enumerable:   false,
+            writable:     false,
+            value:        {}
+        })
+
+        /*  remember internal state  */
+        this._.api = api
+    }
+
+    /*  INTERNAL: sanity check and complete options  */
+    __options (opts, spec, defaults) {
+        const err = []
+        if (!Ducky.validate(opts, spec, err))
+            throw new Error(`invalid options: ${err.join("; ")}`)
+        return Object.assign({}, defaults, opts)
+    }
+
+    /*  INTERNAL: determine the URL of a BLOB  */
+    __url (name) {
+        return `${this._.api.$.url}${this._.api.$.path.blob}/${name}`
+    }
+
+    /*  INTERNAL: determine the Axios cancellation token for an AbortSignal  */
+    __cancelToken (signal) {
+        if (signal === null)
+            return undefined
+        const source = Axios.CancelToken.source()
+        if (signal.aborted)
+            source.cancel("operation aborted")
+        else
+            signal.addEventListener("abort", () => { source.cancel("operation aborted") })
+        return source.token
+    }
+
+    /*  INTERNAL: report the progress of a BLOB transfer  */
+    __progress (name, direction, loaded, total, onProgress) {
+        const progress = { name, direction, loaded, total }
+        this._.api.emit("blob-progress", progress)
+        if (onProgress !== null)
+            onProgress(progress)
+    }
+
+    /*  INTERNAL: report the failure of a BLOB operation  */
+    __failure (action, name, err) {
+        let error
+        if (Axios.isCancel(err))
+            error = new AbortError(`${action} of BLOB "${name}" aborted`, { originalError: err })
+        else {
+            error = NetworkError.from(err)
+            error.message = `${action} of BLOB "${name}" failed: ${error.message}`
+        }
+        this._.api.error(error)
+    }
+
+    /*  INTERNAL: convert the various supported data types into a single sliceable type
+        (a Blob under Browser environments and a Buffer under Node environments)  */
+    __data (data) {
+        if (isBrowser && !(data instanceof Blob))
+            data = new Blob([ data ])
+        else if (!isBrowser && typeof data === "string")
+            data = Buffer.from(data, "utf8")
+        else if (!isBrowser && data instanceof ArrayBuffer)
+            data = Buffer.from(data)
+        return data
+    }
+
+    /*  create a "multipart/form-data" request body
+        (from parts with a field name, a string or binary value and an optional filename and type)  */
+    static multipart (parts) {
+        if (isBrowser) {
+            /*  let the Browser create the request body  */
+            const form = new FormData()
+            parts.forEach((part) => {
+                if (part.filename !== undefined)
+                    form.append(part.name, part.value, part.filename)
+                else
+                    form.append(part.name, part.value)
+            })
+            return { body: form, headers: {} }
+        }
+        else {
+            /*  manually create the request body  */
+            const boundary = `----GraphQL-IO-${Date.now().toString(16)}${Math.random().toString(16).slice(2)}`
+            const buffers = []
+            parts.forEach((part) => {
+                let head = `--${boundary}\r\nContent-Disposition: form-data; name="${part.name}"`
+                if (part.filename !== undefined)
+                    head += `; filename="${encodeURIComponent(part.filename)}"`
+                head += "\r\n"
+                if (part.type !== undefined)
+                    head += `Content-Type: ${part.type}\r\n`
+                buffers.push(Buffer.from(`${head}\r\n`))
+                buffers.push(typeof part.value === "string" ? Buffer.from(part.value, "utf8") : part.value)
+                buffers.push(Buffer.from("\r\n"))
+            })
+            buffers.push(Buffer.from(`--${boundary}--\r\n`))
+            return {
+                body:    Buffer.concat(buffers),
+                headers: { "Content-Type": `multipart/form-data; boundary=${boundary}` }
+            }
+        }
+    }
+
+    /*  INTERNAL: determine the metadata of a BLOB from its HTTP response headers  */
+    __info (name, headers) {
+        const size = parseInt(headers["content-length"], 10)
+        return {
+            name,
+            size:     !isNaN(size) ? size : null,
+            type:     headers["content-type"] || null,
+            modified: headers["last-modified"] ? new Date(headers["last-modified"]) : null,
+            etag:     headers.etag || null,
+            ranges:   headers["accept-ranges"] === "bytes"
+        }
+    }
+
+    /*  upload a BLOB
+        (either at once as a "multipart/form-data" POST request or in chunks
+        with PUT requests carrying a "Content-Range" header, resumable from an offset)  */
+    async upload (name, data, opts = {}) {
+        opts = this.__options(opts, `{
+            type?: string,
+            chunkSize?: number,
+            offset?: number,
+            onProgress?: function,
+            signal?: object
+        }`, {
+            type:       "application/octet-stream",
+            chunkSize:  0,
+            offset:     0,
+            onProgress: null,
+            signal:     null
+        })
+        const api = this._.api
+        api.debug(2, `uploading BLOB "${name}"`)
+        data = this.__data(data)
+        const total       = isBrowser ? data.size : data.length
+        const cancelToken = this.__cancelToken(opts.signal)
+        try {
+            if (opts.chunkSize > 0 && total > 0) {
+                /*  upload in chunks (each one retried individually)  */
+                for (let start = opts.offset; start < total; start += opts.chunkSize) {
+                    const end = Math.min(start + opts.chunkSize, total)
+                    await api._retry(`uploading of BLOB "${name}" chunk`, () => {
+                        return api._http("blob upload", {
+                            method:  "put",
+                            url:     this.__url(name),
+                            data:    data.slice(start, end),
+                            headers: {
+                                "Content-Type":  opts.type,
+                                "Content-Range": `bytes ${start}-${end - 1}/${total}`
+                            },
+                            cancelToken
+                        })
+                    })
+                    this.__progress(name, "upload", end, total, opts.onProgress)
+                }
+            }
+            else {
+                /*  upload at once
+                    (not retried, as the server might have received it nevertheless)  */
+                const { body, headers } = Blobs.multipart([ {
+                    name:     "blob",
+                    value:    isBrowser && data.type !== opts.type ? new Blob([ data ], { type: opts.type }) : data,
+                    filename: name.replace(/^.*\//, ""),
+                    type:     opts.type
+                } ])
+                await api._http("blob upload", {
+                    method:           "post",
+                    url:              this.__url(name),
+                    data:             body,
+                    headers,
+                    cancelToken,
+                    maxContentLength: Infinity,
+                    onUploadProgress: (ev) => {
+                        if (ev.lengthComputable && ev.loaded < ev.total)
+                            this.__progress(name, "upload", Math.round(total * ev.loaded / ev.total),
+                                total, opts.onProgress)
+                    }
+                })
+                this.__progress(name, "upload", total, total, opts.onProgress)
+            }
+            return true
+        }
+        catch (err) {
+            this.__failure("uploading", name, err)
+            return false
+        }
+    }
+
+    /*  download a BLOB
+        (either as a whole or a byte range of it, under Browser environments as a Blob
+        and under Node environments as a Buffer or streamed into a Writable stream)  */
+    async download (name, opts = {}) {
+        opts = this.__options(opts, `{
+            to?: object,
+            range?: { start: number, end?: number },
+            onProgress?: function,
+            signal?: object
+        }`, {
+            to:         null,
+            range:      null,
+            onProgress: null,
+            signal:     null
+        })
+        const api = this._.api
+        api.debug(2, `downloading BLOB "${name}"`)
+        const headers = {}
+        if (opts.range !== null)
+            headers.Range = `bytes=${opts.range.start}-${opts.range.end !== undefined ? opts.range.end : ""}`
+        try {
+            const response = await api._retry(`downloading of BLOB "${name}"`, () => {
+                return api._http("blob download", {
+                    method:             "get",
+                    url:                this.__url(name),
+                    headers,
+                    responseType:       isBrowser ? "blob" : "stream",
+                    cancelToken:        this.__cancelToken(opts.signal),
+                    maxContentLength:   Infinity,
+                    onDownloadProgress: (ev) => {
+                        this.__progress(name, "download", ev.loaded,
+                            ev.lengthComputable ? ev.total : null, opts.onProgress)
+                    }
+                })
+            })
+            if (isBrowser)
+                return response.data
+
+            /*  consume the response stream under Node environments  */
+            const { size } = this.__info(name, response.headers)
+            const stream = response.data
+            return await new Promise((resolve, reject) => {
+                const chunks = []
+                let loaded = 0
+                if (opts.signal !== null) {
+                    opts.signal.addEventListener("abort", () => {
+                        stream.destroy()
+                        reject(new Axios.Cancel("operation aborted"))
+                    })
+                }
+                stream.on("error", reject)
+                stream.on("data", (chunk) => {
+                    loaded += chunk.length
+                    if (opts.to === null)
+                        chunks.push(chunk)
+                    this.__progress(name, "download", loaded, size, opts.onProgress)
+                })
+                if (opts.to !== null) {
+                    opts.to.on("error", reject)
+                    opts.to.on("finish", () => resolve(opts.to))
+                    stream.pipe(opts.to)
+                }
+                else
+                    stream.on("end", () => resolve(Buffer.concat(chunks)))
+            })
+        }
+        catch (err) {
+            this.__failure("downloading", name, err)
+            return null
+        }
+    }
+
+    /*  determine the metadata of a BLOB (or null if it does not exist)  */
+    stat (name) {
+        const api = this._.api
+        api.debug(2, `inspecting BLOB "${name}"`)
+        return api._retry(`inspecting of BLOB "${name}"`, () => {
+            return api._http("blob stat", { method: "head", url: this.__url(name) })
+        }).then((response) => {
+            return this.__info(name, response.headers)
+        }, (err) => {
+            if (!(typeof err.response === "object" && err.response !== null && err.response.status === 404))
+                this.__failure("inspecting", name, err)
+            return null
+        })
+    }
+
+    /*  delete a BLOB  */
+    remove (name) {
+        const api = this._.api
+        api.debug(2, `deleting BLOB "${name}"`)
+        return api._retry(`deleting of BLOB "${name}"`, () => {
+            return api._http("blob remove", { method: "delete", url: this.__url(name) })
+        }).then(() => {
+            return true
+        }, (err) => {
+            this.__failure("deleting", name, err)
+            return false
+        })
+    }
+}
+
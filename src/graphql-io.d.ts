@@ -22,101 +22,72 @@
 **  SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
 */
 
+/// <reference lib="es2018.asynciterable" />
+
 /*  The GraphQL-IO Client API consists of the primary class Client,
-    and its secondary interfaces Query, Subscription and Result.  */
+    its secondary classes Query and Subscription and interfaces Options and Result,
+    and the companion code generator Codegen.  */
 declare module "graphql-io-client" {
     /*  The primary API class of GraphQL-IO Client,
         representing the network communication client.  */
-    class Client {
+    export class Client {
         /*  Construct a new GraphQL-IO Client instance.  */
-        public constructor(options?: {
-            /*  The prefix of for the used HTTP Cookies.
-                The default is `GraphQL-IO-`.  */
-            prefix: string
-
-            /*  The base URL of the server.
-                Has to match the regex `^https?:\/\/.+?:\d+$`.
-                The default is `"http://127.0.0.1:8080"`.  */
-            url: string
-
-            /*  The URL path specification.  */
-            path: {
-                /*  The relative URL path to the login service of the server.
-                    Has to match the regex `^\\/.+$`.
-                    The default is `/api/auth/login`.  */
-                login: string
-
-                /*  The relative URL path to the session service of the server.
-                    Has to match the regex `^\\/.+$`.
-                    The default is `/api/auth/session`.  */
-                session: string
-
-                /*  The relative URL path to the logout service of the server.
-                    Has to match the regex `^\\/.+$`.
-                    The default is `/api/auth/logout`.  */
-                logout: string
-
-                /*  The relative URL path to the GraphQL service of the server.
-                    Has to match the regex `^\\/.+$`.
-                    The default is `/api/data/graph`.  */
-                graph: string
-
-                /*  The relative URL path to the BLOB service of the server.
-                    Has to match the regex `^\\/.+$`.
-                    The default is `/api/data/blob`.  */
-                blob: string
-            }
-
-            /*  The communication mode for the GraphQL requests.
-                Has to be either `http` (maximum portability, no subscription support)
-                or `websocket` (maximum performace, subscription support).
-                The default is `websocket`.  */
-            mode: string
-
-            /*  The frame encoding for the GraphQL over WebSocket communication.
-                Has to be either `cbor` (maximum performance, binary),
-                `msgpack` (maximum performance, binary) or `json` (less performance, text, human readable).
-                The default is `cbor`.  */
-            encoding: string
-
-            /*  Whether to enable GraphQL query compression.
-                The default is `false`.  */
-            compress: boolean
-
-            /*  Whether to add GraphQL `__typename` fields to the results.
-                The default is `false`.  */
-            typenames: boolean
-
-            /*  The number of milliseconds the processing of incoming GraphQL Notifications
-                over WebSockets is delayed in order to not unnecessarily react multiple times
-                to the same GraphQL Notification within a too short time range.
-                The default is `250`.  */
-            throttle: number
-
-            /*  The debugging level.
-                Has to be an integer between 0 (no debugging) and 3 (maximum debugging messages).
-                The default is 0. The debugging messages are emitted as the event `debug`
-                and can be received with `client.on("debug", (msg) => { ... })`.  */
-            debug: number
-        })
+        public constructor(options?: ClientOptions)
 
         /*  Listen to an event **eventName** and let the callback **handler** be asynchronously
             called for every emitted event. Known events are `debug` (handler argument:
-            `info: { date: string, level: number, msg: string, log: string })`
-            and `error` (handler argument: `error: Error`). Returns a function to remove
-            the handler again. */
-        public on(eventName: string, handler: (eventData: any) => void): () => void
+            `info: { date: string, level: number, msg: string, log: string })`,
+            `error` (handler argument: `error: GraphQLIOError`, emitted for every single error),
+            `connect`, `disconnect`, `open` and `close` (no handler arguments, for the WebSocket
+            connection), `transport` (handler argument: `transport: string`, either `http`,
+            `websocket`, `mock` or `local`), `session-expired` and
+            `session-renewed` (no handler arguments), `offline-queued` (handler argument:
+            `item: QueuedItem`), `offline-replayed`, `offline-conflict` (handler arguments:
+            `item: QueuedItem, result: Result`), `offline-error` (handler arguments:
+            `item: QueuedItem, error: Error`), `blob-progress` (handler argument:
+            `progress: BlobProgress`), `metric` (handler argument: `metric: Metric`, see option
+            `metrics`) and `span` (handler argument: `span: Span`, see option `tracing`).
+            Returns a function to remove the handler again. */
+        public on(eventName: "debug", handler: (info: DebugInfo) => void): () => void
+        public on(eventName: "error", handler: (error: GraphQLIOError) => void): () => void
+        public on(
+            eventName: "connect" | "disconnect" | "open" | "close" | "session-expired" | "session-renewed",
+            handler: () => void
+        ): () => void
+        public on(eventName: "transport", handler: (transport: Transport) => void): () => void
+        public on(eventName: "offline-queued" | "offline-replayed", handler: (item: QueuedItem) => void): () => void
+        public on(eventName: "offline-conflict", handler: (item: QueuedItem, result: Result) => void): () => void
+        public on(eventName: "offline-error", handler: (item: QueuedItem, error: Error) => void): () => void
+        public on(eventName: "blob-progress", handler: (progress: BlobProgress) => void): () => void
+        public on(eventName: "metric", handler: (metric: Metric) => void): () => void
+        public on(eventName: "span", handler: (span: Span) => void): () => void
+        public on(eventName: string, handler: (...eventData: any[]) => void): () => void
 
         /*  Latch into a hook **hookName** and let the callback **handler** be synchronously
-            called for every hook processing. Known hooks are: `login-credentials` (handler argument:
-            `credentials: { username: string, password: string })`. Returns a function
-            to remove the handler again. */
+            called for every hook processing. Known hooks are: `debug` (handler argument:
+            `info: DebugInfo`, handler has to return the (usually modified) `info` or `null`
+            for suppressing the `debug` event), `login-credentials` (handler argument:
+            `credentials: { username: string, password: string })`, handler has to return the
+            (usually modified) `credentials` or a Promise of them), `auth-headers` (handler
+            arguments: `headers: { [ name: string ]: string }, strategy: string`, handler has to
+            return the (usually extended) `headers`) and `trace-headers` (handler arguments:
+            `headers: { [ name: string ]: string }, span: Span`, handler can adjust the `span`,
+            e.g. its `parentSpanId`, and has to return the (usually modified) `headers`).
+            Returns a function to remove the handler again. */
+        public at(hookName: "debug", handler: (info: DebugInfo) => DebugInfo | null): () => void
+        public at(hookName: "login-credentials", handler: (credentials: Credentials) =>
+            Credentials | Promise<Credentials>): () => void
+        public at(hookName: "auth-headers", handler: (headers: { [ name: string ]: string }, strategy: string) =>
+            { [ name: string ]: string }): () => void
+        public at(hookName: "trace-headers", handler: (headers: { [ name: string ]: string }, span: Span) =>
+            { [ name: string ]: string }): () => void
         public at(hookName: string, handler: (...args: any[]) => any): () => void
 
         /*  Merge one or more options into the Client configuration.
-            This accepts the same **options** as the constructor.
-            Should be used before any call to connect().  */
-        public set(options: object): Client
+            This accepts the same **options** as the constructor (or a single
+            option **name** and its **value**). Should be used before any call to connect().  */
+        public set(options: ClientOptions): Client
+        public set(name: string, value: any): Client
 
         /*  Initiate a connection to the server.
             This instanciates the internal network connections.  */
@@ -126,6 +97,41 @@ declare module "graphql-io-client" {
             This drops the internal network connections.  */
         public disconnect(): Promise<Client>
 
+        /*  Inspect the mutations queued in offline mode.  */
+        public queued(): QueuedItem[]
+
+        /*  Discard the mutation with **id** (or all mutations) queued in offline mode.
+            The promises of the discarded mutations are resolved with an error result.
+            Returns the number of discarded mutations.  */
+        public discard(id?: string): Promise<number>
+
+        /*  Manually replay the mutations queued in offline mode.
+            Returns the number of replayed mutations.  */
+        public replay(): Promise<number>
+
+        /*  Determine the currently active transport (`http`, `websocket`, `mock` or `local`),
+            or `null` if not connected.  */
+        public transport(): Transport | null
+
+        /*  Determine the test harness of communication mode `mock`, or `null` in all other modes.  */
+        public mock(): Mock | null
+
+        /*  Determine the endpoint **name** (default `default`, the primary endpoint) as a client,
+            e.g. for performing a `login()` at a secondary endpoint. All endpoints are connected
+            and disconnected together with the primary endpoint.  */
+        public endpoint(name?: string): Client
+
+        /*  Add a **middleware** with request/response/error phases around each attempt of the
+            GraphQL operations (queries, mutations and subscription refetches) and of the
+            non-GraphQL HTTP requests of `login()`, `logout()`, `session()`, `fetch()`, the BLOB API,
+            the notification channel and the loading of the persisted query manifest.
+            The request phases run in ascending `order` (and in the order of addition for
+            equal orders), the response and error phases in the reverse order.  */
+        public use(middleware: Middleware): Client
+
+        /*  Remove a previously added **middleware**.  */
+        public unuse(middleware: Middleware): Client
+
         /*  Perform a login at the server.
             This raises the hook `login-credentials` for gathering a new username/password pair.  */
         public login(): Promise<boolean>
@@ -139,20 +145,335 @@ declare module "graphql-io-client" {
         /*  Send a GraphQL **query** (with optional **variables**) to the server.
             For GraphQL query, operation, the **query** parameter can have the operation prefix
             `query` omitted. For GraphQL mutation operation, the **query** parameter has to start
-            with the operation prefix `mutation`.  */
-        public graphql(query: string, variables?: object, options?: Options): Query
+            with the operation prefix `mutation`. The optional type parameters **TData** and
+            **TVariables** describe the shape of the result `data` field and the **variables**.
+            The **variables** can contain files (File or Blob objects in Browser environments,
+            Buffer or Readable stream objects in Node environments, at any nesting level), which
+            are sent according to the GraphQL multipart request specification over HTTP and as
+            binary data within the variables over WebSockets (requiring `cbor` or `msgpack`
+            encoding). Mutations with files are never queued in offline mode.  */
+        public graphql<TData = any, TVariables = Variables>(
+            query: string, variables?: TVariables, options?: Options<TData, TVariables>): Query<TData>
 
         /*  Convenient short-hand method for `graphql("query [...]"[, ...])`.  */
-        public query(query: string, variables?: object, options?: Options): Query
+        public query<TData = any, TVariables = Variables>(
+            query: string, variables?: TVariables, options?: Options<TData, TVariables>): Query<TData>
 
         /*  Convenient short-hand method for `graphql("mutation [...]"[, ...])`.  */
-        public mutation(query: string, variables?: object, options?: Options): Query
+        public mutation<TData = any, TVariables = Variables>(
+            query: string, variables?: TVariables, options?: Options<TData, TVariables>): Query<TData>
+
+        /*  Watch a GraphQL **query** (with optional **variables**) on the local cache only.
+            The returned Observable emits the result whenever any mutation, refetch,
+            subscription or `writeQuery()` changes the relevant entities in the cache,
+            but never causes any requests to the server on its own.  */
+        public watch<TData = any, TVariables = Variables>(
+            query: string, variables?: TVariables, options?: Options<TData, TVariables>): Observable<Result<TData>>
+
+        /*  Read the result of a GraphQL **query** (with optional **variables**) from the local cache.  */
+        public readQuery<TData = any, TVariables = Variables>(query: string, variables?: TVariables): TData | null
+
+        /*  Write the result **data** of a GraphQL **query** (with optional **variables**)
+            into the local cache. All affected watches re-emit their results.  */
+        public writeQuery<TData = any, TVariables = Variables>(
+            query: string, variables: TVariables, data: TData): Client
+
+        /*  Introspect the GraphQL schema of the server. Resolves to the
+            introspection result (e.g. for the option `schema` of the Codegen).  */
+        public introspect(): Promise<{ __schema: any }>
+
+        /*  Fetch the BLOB **name** from the BLOB service of the server.
+            Resolves to the HTTP response (with the BLOB in field `data`) or `null` on failure.  */
+        public fetch(name: string): Promise<{ data: any, status: number, headers: { [ name: string ]: string } } | null>
+
+        /*  Upload the BLOB **name** with the content **data** (a string, an ArrayBuffer, a Blob
+            in Browser environments or a Buffer in Node environments) to the BLOB service of the
+            server. By default, the BLOB is sent with a `multipart/form-data` POST request (with
+            the BLOB in the field `blob`). With option `chunkSize`, it is sent in chunks with PUT
+            requests carrying a `Content-Range` header. Resolves to `false` on failure.  */
+        public upload(name: string, data: any, options?: UploadOptions): Promise<boolean>
+
+        /*  Download the BLOB **name** from the BLOB service of the server. Resolves to a Blob in
+            Browser environments, to a Buffer in Node environments or, with option `to`, to
+            the Writable stream the BLOB was streamed into. Resolves to `null` on failure.  */
+        public download(name: string, options?: DownloadOptions): Promise<any>
+
+        /*  Determine the metadata of the BLOB **name** with a HEAD request to the BLOB service
+            of the server. Resolves to `null` if the BLOB does not exist or on failure.  */
+        public stat(name: string): Promise<BlobInfo | null>
+
+        /*  Delete the BLOB **name** with a DELETE request to the BLOB service of the server.
+            Resolves to `false` on failure.  */
+        public remove(name: string): Promise<boolean>
+    }
+
+    /*  The options of the Client (for its constructor and method `set()`).  */
+    export interface ClientOptions {
+        /*  The prefix of for the used HTTP Cookies.
+            The default is `GraphQL-IO-`.  */
+        prefix?: string
+
+        /*  The base URL of the server.
+            Has to match the regex `^https?:\/\/.+?:\d+$`.
+            The default is `"http://127.0.0.1:8080"`.  */
+        url?: string
+
+        /*  The URL path specification.  */
+        path?: {
+            /*  The relative URL path to the login service of the server.
+                Has to match the regex `^\\/.+$`.
+                The default is `/api/auth/login`.  */
+            login?: string
+
+            /*  The relative URL path to the session service of the server.
+                Has to match the regex `^\\/.+$`.
+                The default is `/api/auth/session`.  */
+            session?: string
+
+            /*  The relative URL path to the session refresh service of the server.
+                Has to match the regex `^(?:\\/.+)?$`.
+                The default is `""` (no refresh service, re-login on session expiry).  */
+            refresh?: string
+
+            /*  The relative URL path to the logout service of the server.
+                Has to match the regex `^\\/.+$`.
+                The default is `/api/auth/logout`.  */
+            logout?: string
+
+            /*  The relative URL path to the GraphQL service of the server.
+                Has to match the regex `^\\/.+$`.
+                The default is `/api/data/graph`.  */
+            graph?: string
+
+            /*  The relative URL path to the notification service of the server
+                (used in communication mode `http` only).
+                Has to match the regex `^\\/.+$`.
+                The default is `/api/data/notify`.  */
+            notify?: string
+
+            /*  The relative URL path to the BLOB service of the server.
+                Has to match the regex `^\\/.+$`.
+                The default is `/api/data/blob`.  */
+            blob?: string
+        }
+
+        /*  The communication mode for the GraphQL requests.
+            Has to be either `http` (maximum portability, subscription support via `notify`),
+            `websocket` (maximum performace, subscription support) or `auto` (try `websocket`
+            first and fall back to `http` if the WebSocket connection cannot be established
+            or drops repeatedly, periodically trying to upgrade to `websocket` again), `mock`
+            (no server at all, for testing applications, see option `mock` and method `mock()`)
+            or `local` (executing all GraphQL operations in-process, see option `local`).
+            The default is `websocket`.  */
+        mode?: string
+
+        /*  The source of the GraphQL results in communication mode `mock`. Has to be either
+            an executable GraphQLSchema or a resolver map, whose (optionally nested in `Query` and
+            `Mutation`) fields are values or (optionally asynchronous) functions, which are called
+            with the parent value, the arguments and a context with `operationName` and `variables`.
+            The `_Subscription` protocol is always answered by the mock itself.
+            The default is `null`.  */
+        mock?: object | null
+
+        /*  The in-process server of communication mode `local`, which executes all GraphQL
+            operations against an executable GraphQLSchema and implements the `_Subscription`
+            protocol, so subscriptions are notified without any network. The non-GraphQL
+            HTTP requests (like `login()` and `fetch()`) are still sent to `url`.  */
+        local?: LocalOptions
+
+        /*  The channel for receiving GraphQL Notifications in communication mode `http`.
+            Has to be either `poll` (HTTP long-polling on `path.notify`, maximum portability),
+            `sse` (Server-Sent Events on `path.notify`, less overhead) or `none` (no
+            subscription support). In both cases, the server sends the ids of the outdated
+            subscriptions as a JSON array (for `sse` in events of type `GRAPHQL-NOTIFY`).
+            The default is `poll`.  */
+        notify?: string
+
+        /*  The number of milliseconds to wait before re-establishing a failed
+            notification channel in communication mode `http`.
+            The default is `2000`.  */
+        notifyDelay?: number
+
+        /*  The number of WebSocket connection drops within `fallbackWindow` milliseconds
+            after which communication mode `auto` falls back to HTTP.
+            The default is `3`.  */
+        fallbackDrops?: number
+
+        /*  The number of milliseconds of the time window for counting WebSocket
+            connection drops in communication mode `auto`.
+            The default is `60000`.  */
+        fallbackWindow?: number
+
+        /*  The number of milliseconds between attempts to upgrade from HTTP
+            to WebSocket again in communication mode `auto`.
+            The default is `30000`.  */
+        upgradeDelay?: number
+
+        /*  The number of milliseconds of inactivity after which the WebSocket connection
+            is automatically closed (and re-established on the next request).
+            The default is `0` (keep the connection open and re-establish it once dropped).  */
+        keepalive?: number
+
+        /*  The number of milliseconds between heartbeats (minimal GraphQL queries) sent
+            over an established WebSocket connection. If a heartbeat is not answered within
+            this period, the connection is considered silently dropped and is re-established.
+            Notice that heartbeats count as activity for `keepalive`.
+            The default is `0` (no heartbeats).  */
+        heartbeat?: number
+
+        /*  The authentication strategy applied to all requests (GraphQL, notification,
+            login, logout, session and BLOB requests) of the client.
+            Has to be either `cookie` (send the token received on `login()` as an HTTP Cookie,
+            in Browser environments sent automatically), `bearer` (send the token received on
+            `login()` as an `Authorization: Bearer` HTTP header), `apikey` (send the static
+            `apiKey` in the HTTP header `apiKeyHeader`) or `none` (send no authentication
+            information at all). In all cases, the hook `auth-headers` allows the application
+            to provide custom authentication headers. Notice that in Browser environments,
+            WebSocket connections and Server-Sent Events can be authenticated via Cookie only.
+            The default is `cookie`.  */
+        auth?: string
+
+        /*  The static API key for the authentication strategy `apikey`.
+            The default is `""` (no API key).  */
+        apiKey?: string
+
+        /*  The HTTP header for sending the API key in the authentication strategy `apikey`.
+            The default is `X-API-Key`.  */
+        apiKeyHeader?: string
+
+        /*  The maximum number of attempts to renew an expired session (indicated by
+            an HTTP 401 response), either via the refresh service `path.refresh` or
+            via a re-login. GraphQL requests are queued during the session renewal and
+            replayed afterwards, but each request is replayed at most this number of times.
+            The default is `3`.  */
+        renewAttempts?: number
+
+        /*  The number of milliseconds to wait between session renewal attempts.
+            The default is `1000`.  */
+        renewDelay?: number
+
+        /*  The retry policy for failed GraphQL operations and failed login, session refresh,
+            session check and BLOB requests (except non-chunked uploads). It can be overridden per GraphQL operation
+            with the option `retry`. The defaults are `{ attempts: 0 }` (no retries),
+            `{ delay: 500, delayMax: 30000, jitter: 0.5, mutations: false, when: null }`.  */
+        retry?: RetryPolicy
+
+        /*  Whether to enable Automatic Persisted Queries, where initially only the SHA-256
+            hash of the query is sent (in the `extensions.persistedQuery` field of the request)
+            and the full query text is sent only if the server responds with the error
+            `PersistedQueryNotFound`. If the server responds with `PersistedQueryNotSupported`,
+            persisted queries are disabled for the lifetime of the connection.
+            The default is `false`.  */
+        persisted?: boolean
+
+        /*  The whitelist manifest of the persisted queries, either given as an array of
+            SHA-256 hashes, an object keyed by SHA-256 hashes or a URL (or URL path relative
+            to `url`) to load such an array or object from during `connect()`. If given,
+            only whitelisted queries are sent (and only by hash), all other queries are
+            rejected locally. Requires `persisted` to be enabled.
+            The default is `null`.  */
+        manifest?: string[] | { [ hash: string ]: any } | string | null
+
+        /*  The number of milliseconds of the request batching window, within which
+            all issued GraphQL operations are collected and sent as a single batch
+            (an array of operations over HTTP or a `GRAPHQL-BATCH` message over WebSockets,
+            answered with an array of results or a `GRAPHQL-BATCH-RESPONSE` message).
+            This requires batching support on the server side.
+            The default is `0` (no batching).  */
+        batch?: number
+
+        /*  The maximum number of GraphQL operations in a single batch. Once reached,
+            the batch is sent immediately without awaiting the end of the batching window.
+            The default is `10`.  */
+        batchMax?: number
+
+        /*  The GraphQL schema for validating all GraphQL operations and their variables
+            locally before sending them to the server, either given as a GraphQL SDL string,
+            as a JSON string or object of an introspection result, as a GraphQLSchema or as
+            `true` for introspecting the schema of the server on `connect()`. Invalid operations
+            result in errors with `locations` and the extension code `GRAPHQL_VALIDATION_FAILED`.
+            Notice that the schema has to contain the `_Subscription` type of the server for
+            validating the operations of method `subscribe()`.
+            The default is `null` (no local validation).  */
+        schema?: string | object | boolean | null
+
+        /*  Whether to enable the offline mode, where GraphQL mutations issued while the
+            server is unreachable are queued, persisted to `storage` and replayed in order
+            once the server is reachable again. The promises of queued mutations are
+            resolved once they are replayed (or discarded).
+            The default is `false`.  */
+        offline?: boolean
+
+        /*  The storage for persisting the queue of the offline mode. It has to provide
+            the `getItem(key)` and `setItem(key, value)` methods of the Web Storage API,
+            which optionally can return Promises (e.g. for using a file under Node).
+            The default is `null` (use `localStorage` if available, else no persistence).  */
+        storage?: {
+            getItem(key: string): string | null | Promise<string | null>
+            setItem(key: string, value: string): void | Promise<void>
+        } | null
+
+        /*  The frame encoding for the GraphQL over WebSocket communication.
+            Has to be either `cbor` (maximum performance, binary),
+            `msgpack` (maximum performance, binary) or `json` (less performance, text, human readable).
+            Files in the variables of GraphQL operations can be sent with the binary encodings only.
+            The default is `cbor`.  */
+        encoding?: string
+
+        /*  Whether to enable GraphQL query compression.
+            The default is `false`.  */
+        compress?: boolean
+
+        /*  Whether to add GraphQL `__typename` fields to the results.
+            The default is `false`.  */
+        typenames?: boolean
+
+        /*  The number of milliseconds the processing of incoming GraphQL Notifications
+            over WebSockets is delayed in order to not unnecessarily react multiple times
+            to the same GraphQL Notification within a too short time range.
+            The default is `250`.  */
+        throttle?: number
+
+        /*  The secondary endpoints, keyed by their name. Each endpoint is a client with its own
+            transport, authentication and subscriptions, configured with the options of this
+            (primary) client, overridden by the given options, and optionally with the rule
+            `operations` (a regular expression) for routing all GraphQL operations with matching
+            operation names to it. All endpoints share the cache, the hooks and the middlewares of
+            the primary endpoint, and emit their events both on their own and on the primary
+            endpoint. See also option `endpoint` of `graphql()`.
+            The default is `{}`.  */
+        endpoints?: { [ name: string ]: ClientOptions & { operations?: string | RegExp } }
+
+        /*  Whether structured metrics are recorded and emitted as `metric` events, either `false`,
+            `true` or a sink object, whose methods `record(metric)` and `span(span)` additionally
+            receive all metrics and tracing spans. The recorded metrics are the histograms
+            `graphql.request.duration`, `http.request.duration` (in `ms`, per attempt),
+            `graphql.request.size`, `graphql.response.size` (in `bytes`) and
+            `subscription.notify.latency` (in `ms`, from a notification to the refetched result),
+            and the counters `graphql.errors`, `http.errors`, `subscription.refetches` (per `sid`),
+            `connection.reconnects` and `connection.drops`.
+            The default is `false`.  */
+        metrics?: boolean | MetricsSink
+
+        /*  Whether each GraphQL operation and non-GraphQL HTTP request is traced in a span, which
+            is emitted as a `span` event once finished. The trace context of the span is propagated
+            in the W3C Trace Context header `traceparent` of non-GraphQL HTTP requests and in the
+            request extension `traceContext` (an object with the same headers) of GraphQL operations
+            over all transports and within request batches. It can be adjusted with the hook
+            `trace-headers`. The default is `false`.  */
+        tracing?: boolean
+
+        /*  The debugging level.
+            Has to be an integer between 0 (no debugging) and 3 (maximum debugging messages).
+            The default is 0. The debugging messages are emitted as the event `debug`
+            and can be received with `client.on("debug", (msg) => { ... })`.  */
+        debug?: number
     }
 
     /*  The options for methods `graphql()`, `query()` and `mutation()`:
         Set `errorsPass` and `dataStrict` both to `true` for ensuring that the callback in methods
         `then()` and `subscribe()` are either called with a `data` field or not at all.  */
-    interface Options {
+    export interface Options<TData = any, TVariables = Variables> {
         /*  Enable/disable the emitting of GraphQL errors via `error` event (default `true`).
             By disabling this, the errors are not longer emitted at all.  */
         errorsEmit?: boolean
@@ -167,55 +488,614 @@ declare module "graphql-io-client" {
         /*  DuckyJS specification for validating the GraphQL result field `data` (default `null`).
             DuckyJS validation errors are appended to existing errors in the result.  */
         dataRequire?: string
+
+        /*  Enable/disable queueing of a GraphQL mutation operation in offline mode (default `true`).  */
+        offline?: boolean
+
+        /*  Callback for a GraphQL mutation operation queued in offline mode, which is called if its
+            replayed result contains errors (default `null`). It can return `"retry"` to keep the
+            mutation queued for the next replay (which, while being online, happens after the
+            backoff delay of the client-level `retry` policy), otherwise the result is passed
+            to the caller.  */
+        onConflict?: (result: Result<TData>, item: QueuedItem) => string | Promise<string>
+
+        /*  Callback for a GraphQL mutation operation queued in offline mode, which is called if its
+            replay failed with an error from the server (default `null`). It can return `"retry"` to
+            keep the mutation queued for the next replay (which, while being online, happens after the
+            backoff delay of the client-level `retry` policy), otherwise the error is passed to the caller.  */
+        onError?: (error: Error, item: QueuedItem) => string | Promise<string>
+
+        /*  The Apollo Client cache fetch policy (default `null`). For GraphQL query operations, either
+            `cache-first`, `cache-and-network` (method `then()` calls the callback for the cached result
+            first and then for the network result), `network-only`, `cache-only` or `no-cache`, and
+            by default `network-only`. For GraphQL mutation operations, either `network-only` (the
+            result is written to the cache) or `no-cache`, and by default `no-cache` (or `network-only`
+            if `optimisticResponse` or `update` is given). Method `subscribe()` always refetches
+            from the network (except for `no-cache`).  */
+        fetchPolicy?: string
+
+        /*  The optimistic result of a GraphQL mutation operation (default `null`), either
+            as an object or a function receiving the variables. It is written to the cache
+            immediately and replaced by the actual result once it is received from the server.  */
+        optimisticResponse?: TData | ((variables: TVariables) => TData)
+
+        /*  The callback for updating the cache with the result of a GraphQL mutation
+            operation (default `null`). It is called with the Apollo Client cache and the
+            result, for the optimistic result (if any) and again for the actual result.  */
+        update?: (cache: any, result: Result<TData>) => void
+
+        /*  Whether the GraphQL operation is allowed to be sent as part of a batch
+            if request batching is enabled (default `true`).  */
+        batch?: boolean
+
+        /*  The number of milliseconds after which the GraphQL operation is cancelled and
+            results in a TimeoutError (default `0`, no timeout). For subscriptions, this
+            bounds each refetch and each pause, resume and unsubscribe operation.  */
+        timeout?: number
+
+        /*  The AbortSignal for cancelling the GraphQL operation, which then results in an
+            AbortError (default `null`). For subscriptions, this cancels any pending refetch
+            and automatically unsubscribes the subscription.  */
+        signal?: AbortSignal | null
+
+        /*  The retry policy of the GraphQL operation, either `false` (no retries), `true`
+            (the client-level retry policy) or an object overriding individual fields of the
+            client-level retry policy (default `true`). Retries happen within `timeout`.  */
+        retry?: boolean | RetryPolicy
+
+        /*  Enable/disable the delta mode of method `subscribe()` (default `false`). In delta mode,
+            each result passed to the callback carries in field `patch` the changes against the
+            previously passed data (as JSON Patch operations, starting with a `replace` of the root
+            for the first result), and refetched results with unchanged data are skipped entirely.  */
+        delta?: boolean
+
+        /*  The per-operation context passed to the middlewares in field `context` (default `null`).  */
+        context?: object | null
+
+        /*  The name of the endpoint the GraphQL operation is sent to (default `null`, the endpoint
+            determined by the `operations` rules of option `endpoints` of the Client, or else the
+            primary endpoint `default`). Subscriptions are registered at their endpoint.  */
+        endpoint?: string | null
+    }
+
+    /*  The options for method `upload()`.  */
+    export interface UploadOptions {
+        /*  The MIME content type of the BLOB (default `application/octet-stream`).  */
+        type?: string
+
+        /*  The number of bytes per chunk for a chunked upload (default `0`, no chunked upload).  */
+        chunkSize?: number
+
+        /*  The byte offset to start a chunked upload at, e.g., for resuming an interrupted
+            upload at the size determined with `stat()` (default `0`).  */
+        offset?: number
+
+        /*  Callback for the progress of the upload (default `null`).  */
+        onProgress?: (progress: BlobProgress) => void
+
+        /*  The AbortSignal for cancelling the upload (default `null`).  */
+        signal?: AbortSignal | null
+    }
+
+    /*  The options for method `download()`.  */
+    export interface DownloadOptions {
+        /*  The Writable stream to stream the BLOB into, in Node environments only (default `null`).  */
+        to?: any
+
+        /*  The byte range of the BLOB to download (with inclusive **end**, by default the end
+            of the BLOB), e.g., for resuming an interrupted download (default `null`).  */
+        range?: { start: number, end?: number } | null
+
+        /*  Callback for the progress of the download (default `null`).  */
+        onProgress?: (progress: BlobProgress) => void
+
+        /*  The AbortSignal for cancelling the download (default `null`).  */
+        signal?: AbortSignal | null
+    }
+
+    /*  The progress of a BLOB upload or download.  */
+    export interface BlobProgress {
+        /*  The name of the BLOB.  */
+        name: string
+
+        /*  The direction of the transfer.  */
+        direction: "upload" | "download"
+
+        /*  The number of bytes transferred so far.  */
+        loaded: number
+
+        /*  The total number of bytes to transfer (or `null` if unknown).  */
+        total: number | null
+    }
+
+    /*  The metadata of a BLOB.  */
+    export interface BlobInfo {
+        /*  The name of the BLOB.  */
+        name: string
+
+        /*  The size of the BLOB in bytes (or `null` if unknown).  */
+        size: number | null
+
+        /*  The MIME content type of the BLOB (or `null` if unknown).  */
+        type: string | null
+
+        /*  The last modification time of the BLOB (or `null` if unknown).  */
+        modified: Date | null
+
+        /*  The entity tag of the BLOB (or `null` if unknown).  */
+        etag: string | null
+
+        /*  Whether the BLOB service supports range requests for the BLOB.  */
+        ranges: boolean
+    }
+
+    /*  The transport of the GraphQL operations.  */
+    export type Transport = "http" | "websocket" | "mock" | "local"
+
+    /*  The options of the in-process server of communication mode `local`.  */
+    export interface LocalOptions {
+        /*  The executable GraphQLSchema (required).  */
+        schema?: object | null
+
+        /*  The root value passed to the resolvers of the root fields.
+            The default is `null`.  */
+        rootValue?: object | null
+
+        /*  The context passed to all resolvers, either as an object or as a function,
+            which is called per operation with its `operationName`, `query` and `variables`.
+            The default is `null` (the context of an operation with `operationName` and `variables`).  */
+        context?: object | ((operation: LocalOperation) => object | Promise<object>) | null
+
+        /*  Whether subscriptions are notified (and hence refetched) after successful mutations,
+            either for all subscriptions or for the subscriptions for which the predicate returns
+            `true`. Paused subscriptions are notified once they are resumed.
+            The default is `true`.  */
+        notify?: boolean | ((mutation: LocalOperation, subscription: LocalSubscription) => boolean)
+    }
+
+    /*  A GraphQL operation executed by the in-process server of communication mode `local`.  */
+    export interface LocalOperation {
+        operationName: string | null
+        query: string
+        variables: Variables
+    }
+
+    /*  A subscription known to the in-process server of communication modes `local` and `mock`.  */
+    export interface LocalSubscription {
+        sid: string
+        query: string
+        variables: Variables
+        paused: boolean
+    }
+
+    /*  The test harness of communication mode `mock`, simulating a GraphQL-IO server.  */
+    export interface Mock {
+        /*  Override the response of the non-GraphQL HTTP requests with **method** on **path**
+            (by default, login, session refresh, session check and logout succeed and all other
+            requests fail with status 404). The **handler** receives the Axios request
+            configuration and returns (a promise of) the response `status`, `data` and `headers`.  */
+        route(method: string, path: string, handler: MockHandler): Mock
+
+        /*  Simulate a `GRAPHQL-NOTIFY` message for the subscriptions **sids**
+            (by default all subscriptions which are not paused), which causes their refetching.  */
+        notify(sids?: string[]): Mock
+
+        /*  Simulate a dropped connection: the client is offline and all
+            subsequent GraphQL operations fail with a network error.  */
+        drop(): Mock
+
+        /*  Simulate a (re-)opened connection, which causes the refetching of all subscriptions.  */
+        open(): Mock
+
+        /*  Simulate an expired session: the next **count** GraphQL operations (default `1`)
+            fail with HTTP status 401, which causes a session renewal.  */
+        expire(count?: number): Mock
+
+        /*  Determine the subscriptions currently known to the simulated server.  */
+        subscriptions(): LocalSubscription[]
+
+        /*  Determine (and optionally **clear**) the log of the received GraphQL operations.  */
+        requests(clear?: boolean): Array<{ operationName: string | null, query: string, variables: Variables }>
+    }
+
+    /*  The handler of a non-GraphQL HTTP request in communication mode `mock`.  */
+    export type MockHandler = (config: any) => MockResponse | Promise<MockResponse>
+
+    /*  The response of a non-GraphQL HTTP request in communication mode `mock`.  */
+    export interface MockResponse {
+        status?: number
+        data?: any
+        headers?: { [ name: string ]: string }
+    }
+
+    /*  The sink for the metrics and tracing spans (see Client options `metrics` and `tracing`).  */
+    export interface MetricsSink {
+        record?: (metric: Metric) => void
+        span?: (span: Span) => void
+    }
+
+    /*  A recorded metric, labeled with the `endpoint` and, depending on the metric,
+        with the GraphQL operation `type` and `operation` name, the HTTP `request` name,
+        the `status` (`ok` or `error`), the error `kind` (`graphql` or `network`),
+        the subscription `sid` or the `transport`.  */
+    export interface Metric {
+        type: "counter" | "histogram"
+        name: string
+        value: number
+        unit: string
+        labels: { [ label: string ]: string }
+        date: number
+    }
+
+    /*  A finished tracing span of a GraphQL operation or non-GraphQL HTTP request.  */
+    export interface Span {
+        traceId: string
+        spanId: string
+        parentSpanId: string | null
+        name: string
+        kind: "client"
+        start: number
+        end: number
+        duration: number
+        status: "ok" | "error"
+        attributes: { [ attribute: string ]: any }
+    }
+
+    /*  The middleware for method `use()`, where each phase can be asynchronous.  */
+    export interface Middleware {
+        /*  The name of the middleware (for debugging purposes only).  */
+        name?: string
+
+        /*  The position of the middleware in the chain (default `0`).  */
+        order?: number
+
+        /*  The request phase, which can modify `request` (for GraphQL operations `query`,
+            `variables` and `headers`, for HTTP requests the Axios request configuration).
+            Throwing an error fails the request and runs the error phase.  */
+        request?: (ctx: MiddlewareContext) => void | Promise<void>
+
+        /*  The response phase, which can modify or replace `response`.  */
+        response?: (ctx: MiddlewareContext) => void | Promise<void>
+
+        /*  The error phase, which can replace `error`, or recover from it by
+            setting `error` to `null` and providing a `response`.  */
+        error?: (ctx: MiddlewareContext) => void | Promise<void>
+    }
+
+    /*  The context of a GraphQL operation or HTTP request, passed to all phases of all middlewares.  */
+    export interface MiddlewareContext {
+        /*  The kind of request: a GraphQL operation or a non-GraphQL HTTP request.  */
+        kind: "graphql" | "http"
+
+        /*  The name of the endpoint (`default` for the primary endpoint).  */
+        endpoint: string
+
+        /*  The GraphQL operation name (or type), or the name of the HTTP request
+            (`login`, `logout`, `session check`, `session refresh`, `fetch`, `blob upload`,
+            `blob download`, `blob stat`, `blob remove`, `notification poll`,
+            `notification stream` or `manifest`).  */
+        name: string
+
+        /*  The request: for GraphQL operations the operation `type`, `query`, `variables`,
+            `operationName`, the request `extensions` (which are sent over all transports) and
+            additional HTTP `headers` (which cause the operation to be excluded from request
+            batching and are not sent over WebSockets), for HTTP requests the Axios request
+            configuration. A changed `query` is always sent as full query text, even with the
+            option `persisted`.  */
+        request: any
+
+        /*  The per-operation context (option `context` of GraphQL operations),
+            which can be used for sharing information among the phases.  */
+        context: any
+
+        /*  The GraphQL result or Axios response (in the response and error phases).  */
+        response: any
+
+        /*  The error (in the error phase).  */
+        error: any
+    }
+
+    /*  The retry policy for failed operations, where a retry is delayed with an
+        exponential backoff: `min(delay * 2^(retry - 1), delayMax)`, reduced by a
+        random fraction of at most `jitter`.  */
+    export interface RetryPolicy {
+        /*  The maximum number of retries after the initial attempt.  */
+        attempts?: number
+
+        /*  The number of milliseconds to wait before the first retry.  */
+        delay?: number
+
+        /*  The maximum number of milliseconds to wait before a retry.  */
+        delayMax?: number
+
+        /*  The maximum random fraction (between `0` and `1`) by which a delay is reduced.  */
+        jitter?: number
+
+        /*  Whether GraphQL mutation operations are retried, too. As mutations are
+            not necessarily idempotent, they are never retried unless this is enabled.  */
+        mutations?: boolean
+
+        /*  The predicate deciding whether a failed attempt is retried. By default, only
+            connection failures and HTTP responses with status 429 or 5xx are retried, but
+            neither other HTTP responses (like 401, which triggers a session renewal)
+            nor local validation, timeout and abort errors.  */
+        when?: ((error: any, retry: number) => boolean) | null
     }
 
     /*  The secondary interface for representing a GraphQL query or mutation
         before it is actually executed.  */
-    interface Query {
-        /*  Once execute the query as a regular GraphQL query or mutation.  */
-        then(onResult: (result: Result) => any): Promise<Result>
+    export interface Query<TData = any> {
+        /*  Once execute the query as a regular GraphQL query or mutation.
+            Resolves to the value returned by **onResult** (which allows the
+            query to be directly awaited for its result).  */
+        then<T = Result<TData>>(onResult: (result: Result<TData>) => T | PromiseLike<T>): Promise<T>
 
         /*  Once execute the query as a regular GraphQL query, subscribe
             for any further changes and re-execute the query again on
-            each change notification received from the server.  */
-        subscribe(onResult: (result: Result) => void): Subscription
+            each change notification received from the server. The results
+            are passed to the optional **onResult** callback and are available
+            through the events, the async iterator and the Observable of the
+            returned Subscription. Without **onResult**, a failed compilation
+            of the query is thrown instead of being passed as a result.
+            All subscriptions of the same query text, variables and fetch policy share
+            a single server subscription and a single refetch per change notification.  */
+        subscribe(onResult?: (result: Result<TData>) => void): Subscription<TData>
+
+        /*  Watch the query on the local cache only (see Client method `watch()`).  */
+        watch(): Observable<Result<TData>>
     }
 
     /*  The secondary interface for representing a GraphQL query subscription in order
-        to pause, resume and unsubscribe it.  */
-    interface Subscription {
-        /*  Return current state of subscription ("unsubscribed", "subscribed", "paused")  */
-        state(): string
+        to pause, resume and unsubscribe it. It can be iterated with `for await` (where
+        ending the iteration early unsubscribes the subscription) and is interoperable
+        with Observable libraries like RxJS (via `Symbol.observable`).  */
+    export interface Subscription<TData = any> {
+        /*  Listen to an event **eventName** and let the callback **handler** be called
+            for every emitted event. Known events are `data` (handler argument:
+            `result: Result`, emitted for every result), `error` (handler argument:
+            `error: GraphQLIOError`, emitted for every error of a result, including failed
+            refetches), `state` (handler arguments: `state: string, previous: string`)
+            and `resubscribed` (handler arguments: `sid: string, previous: string`, emitted
+            once the subscription is re-established after a re-connect or its id changed).
+            Returns a function to remove the handler again. */
+        on(eventName: "data", handler: (result: Result<TData>) => void): () => void
+        on(eventName: "error", handler: (error: GraphQLIOError) => void): () => void
+        on(eventName: "state", handler: (state: SubscriptionState, previous: SubscriptionState) => void): () => void
+        on(eventName: "resubscribed", handler: (sid: string, previous: string) => void): () => void
+        on(eventName: string, handler: (...eventData: any[]) => void): () => void
+
+        /*  Return current state of subscription.  */
+        state(): SubscriptionState
 
-        /*  Manually force re-execution of the query.  */
-        refetch(): Promise<boolean>
+        /*  Manually force re-execution of the query. By default, a re-execution
+            is skipped if another one is already in progress, except **force** is `true`.
+            Resolves to whether the query was re-executed (or `false` if nothing had to be
+            re-executed, e.g. as all subscriptions of the query were left in the meantime).  */
+        refetch(force?: boolean): Promise<boolean>
 
-        /*  Pause the subscription at the server.  */
+        /*  Pause the subscription (at the server once all
+            subscriptions sharing the server subscription are paused).  */
         pause(): Promise<boolean>
 
-        /*  Resume the subscription at the server.  */
+        /*  Resume the subscription (at the server if all
+            subscriptions sharing the server subscription were paused).  */
         resume(): Promise<boolean>
 
-        /*  Unsubscribe the subscription at the server.  */
+        /*  Unsubscribe the subscription (at the server once the last
+            subscription sharing the server subscription is unsubscribed).  */
         unsubscribe(): Promise<boolean>
+
+        /*  Provide an Observable of all further results, which completes once
+            the subscription is unsubscribed (but unsubscribing from the
+            Observable does not unsubscribe the subscription).  */
+        observable(): Observable<Result<TData>>
+
+        /*  Iterate over all further results until the subscription is unsubscribed.  */
+        [Symbol.asyncIterator](): AsyncIterator<Result<TData>>
+    }
+
+    /*  The states of a GraphQL query subscription.  */
+    export type SubscriptionState = "unsubscribed" | "subscribed" | "paused"
+
+    /*  The secondary interface for representing an Observable (compatible with
+        the ECMAScript Observable proposal) of the watched results.  */
+    export interface Observable<T> {
+        /*  Subscribe to the Observable.  */
+        subscribe(
+            onNext: ((value: T) => void) | {
+                next?: (value: T) => void
+                error?: (error: any) => void
+                complete?: () => void
+            },
+            onError?: (error: any) => void,
+            onComplete?: () => void
+        ): { unsubscribe(): void }
+    }
+
+    /*  The secondary interface for representing a GraphQL mutation
+        operation queued in offline mode.  */
+    export interface QueuedItem {
+        id: string
+        date: string
+        query: string
+        vars: Variables
+        opts: Options
     }
 
     /*  The secondary interface for representing a GraphQL result object,
         containing both the result data and optionally any occurred errors.  */
-    interface Result {
-        data: object,
-        errors?: Array<{
-            message: string
-            locations?: Array<{
-                line: number
-                column: number
+    export interface Result<TData = any> {
+        data: TData | null
+        errors?: GraphQLIOError[]
+        patch?: PatchOperation[]
+    }
+
+    /*  The secondary interface for representing a change of a GraphQL result
+        in the delta mode of method `subscribe()`, as a JSON Patch (RFC 6902) operation.  */
+    export interface PatchOperation {
+        op: "add" | "remove" | "replace"
+        path: string
+        value?: any
+    }
+
+    /*  The base class of all errors (in results and `error` events), carrying the
+        error **code** (from the GraphQL error extension `code`, if given), the GraphQL
+        **path** and **locations**, the GraphQL error **extensions**, the originating GraphQL
+        **operation** and the **originalError**. It is serialized to JSON in the format of
+        GraphQL result errors. The specialized errors are: NetworkError (code `NETWORK_ERROR`),
+        AuthError (codes `UNAUTHENTICATED` and `FORBIDDEN`), GraphQLError (code `GRAPHQL_ERROR`
+        or the code of the server), ValidationError (codes `GRAPHQL_PARSE_FAILED`,
+        `GRAPHQL_VALIDATION_FAILED`, `DATA_VALIDATION_FAILED` and `PERSISTED_QUERY_NOT_WHITELISTED`),
+        TimeoutError (code `TIMEOUT`) and AbortError (code `ABORTED`).  */
+    export interface GraphQLIOError extends Error {
+        code: string
+        path: Array<string | number> | null
+        locations: Array<{
+            line: number
+            column: number
+        }> | null
+        extensions: { [ name: string ]: any }
+        operation: Operation | null
+        originalError: Error | null
+    }
+    export const GraphQLIOError: ErrorClass<GraphQLIOError> & {
+        /*  Convert an arbitrary error (a string, an Error, an Apollo Client error
+            or a GraphQL result error object) into a GraphQL-IO error.  */
+        from(error: any, operation?: Operation): GraphQLIOError
+
+        /*  Convert an arbitrary error into a list of GraphQL-IO errors
+            (one for each GraphQL error wrapped by an Apollo Client error).  */
+        all(error: any, operation?: Operation): GraphQLIOError[]
+    }
+
+    /*  The error of the network communication.  */
+    export interface NetworkError extends GraphQLIOError {
+        name: "NetworkError"
+
+        /*  The HTTP status code (if any).  */
+        statusCode: number | null
+    }
+    export const NetworkError: ErrorClass<NetworkError>
+
+    /*  The error of the authentication (or authorization).  */
+    export interface AuthError extends GraphQLIOError {
+        name: "AuthError"
+
+        /*  The HTTP status code (if any).  */
+        statusCode: number | null
+    }
+    export const AuthError: ErrorClass<AuthError>
+
+    /*  The error of a GraphQL operation reported by the server.  */
+    export interface GraphQLError extends GraphQLIOError {
+        name: "GraphQLError"
+    }
+    export const GraphQLError: ErrorClass<GraphQLError>
+
+    /*  The error of validating a GraphQL operation, its variables or its result.  */
+    export interface ValidationError extends GraphQLIOError {
+        name: "ValidationError"
+    }
+    export const ValidationError: ErrorClass<ValidationError>
+
+    /*  The error of a GraphQL operation not completed in time.  */
+    export interface TimeoutError extends GraphQLIOError {
+        name: "TimeoutError"
+    }
+    export const TimeoutError: ErrorClass<TimeoutError>
+
+    /*  The error of a GraphQL operation aborted through its AbortSignal.  */
+    export interface AbortError extends GraphQLIOError {
+        name: "AbortError"
+    }
+    export const AbortError: ErrorClass<AbortError>
+
+    /*  The secondary interface for representing the constructor of an error class.  */
+    export interface ErrorClass<T> {
+        prototype: T
+        new(message: string, info?: {
+            code?: string
+            path?: Array<string | number>
+            locations?: Array<{ line: number, column: number }>
+            extensions?: { [ name: string ]: any }
+            operation?: Operation
+            originalError?: Error
+            statusCode?: number
+        }): T
+    }
+
+    /*  The secondary interface for representing the originating GraphQL operation of an error.  */
+    export interface Operation {
+        type: "query" | "mutation"
+        query: string
+        variables: Variables
+    }
+
+    /*  The secondary interface for representing the variables of a GraphQL operation
+        (where files are represented by File, Blob, Buffer or Readable stream objects).  */
+    export interface Variables {
+        [ name: string ]: any
+    }
+
+    /*  The secondary interface for representing a debug message (see event and hook `debug`).  */
+    export interface DebugInfo {
+        date: string
+        level: number
+        msg: string
+        log: string
+    }
+
+    /*  The secondary interface for representing the login credentials
+        (see hook `login-credentials`).  */
+    export interface Credentials {
+        username: string
+        password: string
+    }
+
+    /*  The companion code generator, generating typed query functions, TypeScript
+        result and variable types and matching `dataRequire` specifications for all
+        named GraphQL query and mutation operations of a GraphQL document. It is also
+        available as the command-line tool `graphql-io-client-codegen`. It is available
+        in the Node environment only and not part of the Browser bundle.  */
+    export interface Codegen {
+        /*  Generate the TypeScript code for all operations of the GraphQL **document**.  */
+        generate(document: string | object): {
+            code: string
+            operations: Array<{
+                name: string
+                type: "query" | "mutation"
+                query: string
+                dataRequire: string
             }>
-            path?: string[]
-            [ name: string ]: any
-        }>
+        }
     }
+    export const Codegen: {
+        /*  Construct a new Codegen instance.  */
+        new(options: CodegenOptions): Codegen
 
-    const client: Client
-    export = client
+        /*  Determine the GraphQL schema object from a **schema** given
+            in the same formats as the option `schema`.  */
+        schema(schema: string | object): any
+    }
+
+    /*  The options of the Codegen.  */
+    export interface CodegenOptions {
+        /*  The GraphQL schema, either as a GraphQL SDL string, as a JSON string or object of
+            an introspection result (see Client method `introspect()`) or as a GraphQLSchema.  */
+        schema: string | object
+
+        /*  The TypeScript types of custom GraphQL scalar types. If a scalar is mapped to
+            `string`, `number` or `boolean`, it is also validated by the `dataRequire` specifications.
+            The default is `{}` (all custom scalars are of type `any`).  */
+        scalars?: { [ scalar: string ]: string }
+
+        /*  Whether the results contain GraphQL `__typename` fields (see Client option `typenames`).
+            The default is `false`.  */
+        typenames?: boolean
+
+        /*  The name of the module to import the Client API from in the generated code.
+            The default is `graphql-io-client`.  */
+        module?: string
+    }
 }
 
@@ -26,12 +26,29 @@
 import Client       from "./graphql-io-1-client"
 import Query        from "./graphql-io-2-query"
 import Subscription from "./graphql-io-3-subscription"
+import {
+    GraphQLIOError,
+    NetworkError,
+    AuthError,
+    GraphQLError,
+    ValidationError,
+    TimeoutError,
+    AbortError
+} from "./graphql-io-8-error"
 
 /*  export the traditional way for interoperability reasons
-    (as Babel would export an object with a 'default' field)  */
+    (as Babel would export an object with a 'default' field, and where
+    the Node-only Codegen class is exported by "graphql-io-node" only)  */
 module.exports = {
     Client,
     Query,
-    Subscription
+    Subscription,
+    GraphQLIOError,
+    NetworkError,
+    AuthError,
+    GraphQLError,
+    ValidationError,
+    TimeoutError,
+    AbortError
 }
 